@@ -0,0 +1,251 @@
+/**
+ * Backup Module
+ * Full backups of every section of app data, with a checksum and a summary of what a restore would change
+ */
+
+import { SCHEMA_VERSION, migrateData, validateVersion } from './schema.js';
+import { validateBackupData, validateReceipt } from './validators.js';
+import { encryptBytes, decryptBytes } from './encryption.js';
+import { createZip, readZip } from './zip.js';
+
+// Marks a file as a full backup rather than a transactions export
+export const BACKUP_FORMAT = 'financeApp-backup';
+
+// Files inside a backup archive; each receipt is stored as receipts/<id>
+const ARCHIVE_BACKUP = 'backup.json';
+const ARCHIVE_RECEIPTS = 'receipts.json';
+
+/**
+ * Calculate the SHA-256 checksum of backup data
+ * @param {Object} data - Backup data
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function calculateChecksum(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    const hash = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build a backup file
+ * @param {Object} data - {transactions, settings, budgetCap, budgets, recurringRules}
+ * @returns {Promise<Object>} - {format, version, exportedAt, checksum, data}
+ */
+export async function createBackup(data) {
+    return {
+        format: BACKUP_FORMAT,
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum: await calculateChecksum(data),
+        data
+    };
+}
+
+/**
+ * Check whether parsed JSON is a full backup
+ * @param {*} file - Parsed JSON
+ * @returns {boolean} - True for backup files
+ */
+export function isBackup(file) {
+    return file !== null && typeof file === 'object' && file.format === BACKUP_FORMAT;
+}
+
+/**
+ * Check that the sections migrations read are lists of records and a settings object
+ * @param {Object} data - Backup data as saved
+ * @returns {Object} - One message per section of the wrong shape
+ */
+function findShapeErrors(data) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isRecordList = value => Array.isArray(value) && value.every(isObject);
+    const errors = {};
+    
+    if (!isRecordList(data.transactions)) {
+        errors.transactions = 'Transactions must be a list of records';
+    }
+    
+    if (data.recurringRules !== undefined && !isRecordList(data.recurringRules)) {
+        errors.recurringRules = 'Recurring rules must be a list of records';
+    }
+    
+    if (data.settings !== undefined && !isObject(data.settings)) {
+        errors.settings = 'Settings must be an object';
+    }
+    
+    return errors;
+}
+
+/**
+ * Verify, upgrade and validate a backup file
+ * The checksum is checked against the data as saved, before any migration
+ * @param {Object} file - Parsed backup file
+ * @returns {Promise<Object>} - {valid, message, errors, data} where errors has one message per invalid section
+ */
+export async function readBackup(file) {
+    const fail = (message, errors = {}) => ({ valid: false, message, errors, data: null });
+    
+    const versionResult = validateVersion(file.version);
+    if (!versionResult.valid) {
+        return fail(versionResult.message);
+    }
+    
+    if (!file.data || typeof file.data !== 'object') {
+        return fail('Backup has no data');
+    }
+    
+    if (file.checksum !== await calculateChecksum(file.data)) {
+        return fail('Checksum does not match. The backup may be damaged or edited.');
+    }
+    
+    // Migrations read every record, so sections of the wrong shape are reported before upgrading
+    const shapeErrors = findShapeErrors(file.data);
+    if (Object.keys(shapeErrors).length > 0) {
+        return fail('Backup contains invalid data', shapeErrors);
+    }
+    
+    const { data } = migrateData(file.data, file.version);
+    const restored = {
+        transactions: data.transactions,
+        settings: data.settings,
+        budgetCap: data.budgetCap === undefined ? null : data.budgetCap,
+        budgets: data.budgets || {},
+        recurringRules: data.recurringRules || []
+    };
+    
+    const { valid, errors } = validateBackupData(restored);
+    if (!valid) {
+        return fail('Backup contains invalid data', errors);
+    }
+    
+    return { valid: true, message: '', errors: {}, data: restored };
+}
+
+/**
+ * Compare two lists of records by id
+ * @param {Array} current - Records now
+ * @param {Array} incoming - Records in the backup
+ * @returns {Object} - {added, changed, removed, unchanged} counts
+ */
+function diffRecords(current, incoming) {
+    const existing = new Map(current.map(record => [record.id, JSON.stringify(record)]));
+    const incomingIds = new Set(incoming.map(record => record.id));
+    const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    
+    incoming.forEach(record => {
+        if (!existing.has(record.id)) {
+            summary.added++;
+        } else if (existing.get(record.id) !== JSON.stringify(record)) {
+            summary.changed++;
+        } else {
+            summary.unchanged++;
+        }
+    });
+    summary.removed = [...existing.keys()].filter(id => !incomingIds.has(id)).length;
+    
+    return summary;
+}
+
+/**
+ * List the keys whose values differ between two objects
+ * @param {Object} current - Object now
+ * @param {Object} incoming - Object in the backup
+ * @returns {Array} - Changed keys, sorted
+ */
+function diffKeys(current, incoming) {
+    const keys = new Set([...Object.keys(current || {}), ...Object.keys(incoming || {})]);
+    return [...keys]
+        .filter(key => JSON.stringify((current || {})[key]) !== JSON.stringify((incoming || {})[key]))
+        .sort();
+}
+
+/**
+ * Summarise what restoring a backup would change
+ * @param {Object} current - Current data {transactions, settings, budgetCap, budgets, recurringRules}
+ * @param {Object} incoming - Backup data in the same shape
+ * @returns {Object} - {transactions, recurringRules, settings, budgets, budgetCap}
+ */
+export function summarizeChanges(current, incoming) {
+    return {
+        transactions: diffRecords(current.transactions, incoming.transactions),
+        recurringRules: diffRecords(current.recurringRules, incoming.recurringRules),
+        settings: diffKeys(current.settings, incoming.settings),
+        budgets: diffKeys(current.budgets, incoming.budgets),
+        budgetCap: current.budgetCap === incoming.budgetCap ? null : { from: current.budgetCap, to: incoming.budgetCap }
+    };
+}
+
+/**
+ * Build a backup archive (zip) holding the backup file and the receipt files it uses
+ * With a key, the receipt list and files are encrypted too; the backup file is passed in already encrypted
+ * @param {Object} file - Backup file (plain or encrypted)
+ * @param {Array} receipts - Array of {id, name, type, size, createdAt, data} where data is a Uint8Array
+ * @param {CryptoKey|null} key - Key of the encrypted backup file
+ * @returns {Promise<Uint8Array>} - Zip archive
+ */
+export async function createBackupArchive(file, receipts, key = null) {
+    const seal = bytes => (key ? encryptBytes(key, bytes) : bytes);
+    const encoder = new TextEncoder();
+    const list = receipts.map(({ id, name, type, size, createdAt }) => ({ id, name, type, size, createdAt }));
+    
+    return createZip([
+        { name: ARCHIVE_BACKUP, data: encoder.encode(JSON.stringify(file, null, 2)) },
+        { name: ARCHIVE_RECEIPTS, data: await seal(encoder.encode(JSON.stringify(list, null, 2))) },
+        ...await Promise.all(receipts.map(async receipt => ({ name: `receipts/${receipt.id}`, data: await seal(receipt.data) })))
+    ]);
+}
+
+/**
+ * Open a backup archive
+ * @param {Uint8Array} bytes - Zip archive
+ * @returns {Object} - {file, entries} where file is the parsed backup file (possibly encrypted)
+ */
+export function openBackupArchive(bytes) {
+    const entries = readZip(bytes);
+    if (!entries.has(ARCHIVE_BACKUP)) {
+        throw new Error('Archive does not contain a backup');
+    }
+    
+    return { file: JSON.parse(new TextDecoder().decode(entries.get(ARCHIVE_BACKUP))), entries };
+}
+
+/**
+ * Read and check the receipt files in a backup archive
+ * @param {Map} entries - Archive entries from openBackupArchive
+ * @param {CryptoKey|null} key - Key of the encrypted backup file
+ * @returns {Promise<Object>} - {valid, message, receipts} where receipts is an array of {id, name, type, createdAt, blob}
+ */
+export async function readArchiveReceipts(entries, key = null) {
+    const fail = message => ({ valid: false, message, receipts: null });
+    const open = bytes => (key ? decryptBytes(key, bytes) : bytes);
+    
+    if (!entries.has(ARCHIVE_RECEIPTS)) {
+        return { valid: true, message: '', receipts: [] };
+    }
+    
+    const list = JSON.parse(new TextDecoder().decode(await open(entries.get(ARCHIVE_RECEIPTS))));
+    if (!Array.isArray(list)) {
+        return fail('Receipt list must be an array');
+    }
+    
+    const receipts = [];
+    for (let i = 0; i < list.length; i++) {
+        const { id, name, type, size, createdAt } = list[i] || {};
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id) || !entries.has(`receipts/${id}`)) {
+            return fail(`Receipt ${i + 1}: Invalid id or missing file`);
+        }
+        
+        const result = validateReceipt({ name, type, size });
+        if (!result.valid) {
+            return fail(`Receipt ${i + 1}: ${result.message}`);
+        }
+        
+        const data = await open(entries.get(`receipts/${id}`));
+        if (data.length !== size) {
+            return fail(`Receipt ${i + 1}: File is damaged`);
+        }
+        
+        receipts.push({ id, name, type, createdAt: typeof createdAt === 'string' ? createdAt : undefined, blob: new Blob([data], { type }) });
+    }
+    
+    return { valid: true, message: '', receipts };
+}
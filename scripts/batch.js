@@ -0,0 +1,54 @@
+/**
+ * Batch Module
+ * Works out what a batch action on the selected transactions would change, so it can be confirmed first
+ */
+
+import { addDays, getToday } from './recurring.js';
+
+/**
+ * Work out which selected transactions would move to a category
+ * Split transactions are left alone, as their categories are chosen per line
+ * @param {Array} transactions - Selected transactions
+ * @param {string} category - New category
+ * @returns {Object} - {changes: Array of {transaction, from, to}, skipped: Array of {transaction, reason}}
+ */
+export function previewRecategorize(transactions, category) {
+    const changes = [];
+    const skipped = [];
+    
+    transactions.forEach(transaction => {
+        if (transaction.splits) {
+            skipped.push({ transaction, reason: 'Split across categories' });
+        } else if (transaction.category === category) {
+            skipped.push({ transaction, reason: `Already in ${category}` });
+        } else {
+            changes.push({ transaction, from: transaction.category, to: category });
+        }
+    });
+    
+    return { changes, skipped };
+}
+
+/**
+ * Work out the new dates of selected transactions shifted by a number of days
+ * Transactions cannot be dated in the future, so any that would be are left alone
+ * @param {Array} transactions - Selected transactions
+ * @param {number} days - Days to add (negative to move earlier)
+ * @param {string} today - Latest allowed date (default: today)
+ * @returns {Object} - {changes: Array of {transaction, from, to}, skipped: Array of {transaction, reason}}
+ */
+export function previewDateShift(transactions, days, today = getToday()) {
+    const changes = [];
+    const skipped = [];
+    
+    transactions.forEach(transaction => {
+        const date = addDays(transaction.date, days);
+        if (date > today) {
+            skipped.push({ transaction, reason: `${date} would be in the future` });
+        } else {
+            changes.push({ transaction, from: transaction.date, to: date });
+        }
+    });
+    
+    return { changes, skipped };
+}
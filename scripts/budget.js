@@ -0,0 +1,214 @@
+/**
+ * Budget Module
+ * Calculates per-category monthly budgets, rollover and alert thresholds
+ */
+
+import { getCategorySpending } from './state.js';
+
+// Percentages of a budget at which an alert is raised
+export const ALERT_THRESHOLDS = [50, 80, 100];
+
+/**
+ * Get month key for a date
+ * @param {string|Date} date - Date string (YYYY-MM-DD) or Date object
+ * @returns {string} - Month key (YYYY-MM)
+ */
+export function getMonthKey(date = new Date()) {
+    if (typeof date === 'string') {
+        return date.slice(0, 7);
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${date.getFullYear()}-${month}`;
+}
+
+/**
+ * Get the month key after the given one
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} - Next month key
+ */
+function getNextMonth(month) {
+    const [year, monthNum] = month.split('-').map(Number);
+    return monthNum === 12
+        ? `${year + 1}-01`
+        : `${year}-${String(monthNum + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the budget amount in effect for a month
+ * An amount set for a month applies to every later month until another amount is set
+ * @param {Object} categoryBudget - {amounts: {YYYY-MM: number}, rollover: boolean}
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {number|null} - Budget amount or null if none applies
+ */
+export function getBaseBudget(categoryBudget, month) {
+    const effective = Object.keys(categoryBudget.amounts)
+        .filter(key => key <= month)
+        .sort();
+    
+    if (effective.length === 0) {
+        return null;
+    }
+    
+    return categoryBudget.amounts[effective[effective.length - 1]];
+}
+
+/**
+ * Calculate spending per category for a month
+ * Split transactions count towards each of their categories
+ * @param {Array} transactions - Array of transactions
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Object} - Map of category to amount spent
+ */
+export function calculateMonthSpending(transactions, month) {
+    const totals = {};
+    transactions
+        .filter(t => getMonthKey(t.date) === month)
+        .forEach(t => {
+            getCategorySpending(t).forEach(({ category, amount }) => {
+                totals[category] = (totals[category] || 0) + amount;
+            });
+        });
+    return totals;
+}
+
+/**
+ * Calculate unspent budget carried into a month
+ * Only unspent amounts roll over; overspending is not carried forward
+ * @param {Array} transactions - Array of transactions
+ * @param {string} category - Category name
+ * @param {Object} categoryBudget - Category budget entry
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {number} - Amount carried over
+ */
+function calculateCarryOver(transactions, category, categoryBudget, month) {
+    if (!categoryBudget.rollover) {
+        return 0;
+    }
+    
+    const firstMonth = Object.keys(categoryBudget.amounts).sort()[0];
+    let carry = 0;
+    
+    for (let current = firstMonth; current < month; current = getNextMonth(current)) {
+        const base = getBaseBudget(categoryBudget, current) || 0;
+        const spent = calculateMonthSpending(transactions, current)[category] || 0;
+        carry = Math.max(0, base + carry - spent);
+    }
+    
+    return carry;
+}
+
+/**
+ * Get the highest alert threshold reached
+ * @param {number} percentage - Percentage of budget used
+ * @returns {number} - Threshold reached, or 0 if below all thresholds
+ */
+export function getAlertThreshold(percentage) {
+    return ALERT_THRESHOLDS.filter(threshold => percentage >= threshold).pop() || 0;
+}
+
+/**
+ * Calculate budget vs actual for every budgeted category in a month
+ * @param {Array} transactions - Array of transactions
+ * @param {Object} budgets - Map of category to budget entry
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Array} - Array of budget status rows
+ */
+export function calculateBudgetStatus(transactions, budgets, month) {
+    const spending = calculateMonthSpending(transactions, month);
+    
+    return Object.entries(budgets)
+        .map(([category, categoryBudget]) => {
+            const budget = getBaseBudget(categoryBudget, month);
+            if (budget === null) {
+                return null;
+            }
+            
+            const carriedOver = calculateCarryOver(transactions, category, categoryBudget, month);
+            const available = budget + carriedOver;
+            const spent = spending[category] || 0;
+            const percentage = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+            
+            return {
+                category,
+                budget,
+                rollover: categoryBudget.rollover,
+                carriedOver,
+                available,
+                spent,
+                remaining: available - spent,
+                percentage,
+                threshold: getAlertThreshold(percentage)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.category.localeCompare(b.category));
+}
+
+/**
+ * Calculate budget vs actual for every budgeted category over a date range
+ * A single calendar month uses the monthly status (with rollover); other ranges prorate each
+ * month's budget by the number of its days inside the range
+ * @param {Array} transactions - Array of transactions
+ * @param {Object} budgets - Map of category to budget entry
+ * @param {Object} range - {start, end} dates (YYYY-MM-DD)
+ * @returns {Array} - Array of budget status rows
+ */
+export function calculateRangeBudgetStatus(transactions, budgets, range) {
+    const startMonth = getMonthKey(range.start);
+    const endMonth = getMonthKey(range.end);
+    const [endYear, endMonthNum] = endMonth.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(endYear, endMonthNum, 0)).getUTCDate();
+    
+    if (startMonth === endMonth && range.start.endsWith('-01') && Number(range.end.slice(8)) === lastDay) {
+        return calculateBudgetStatus(transactions, budgets, startMonth);
+    }
+    
+    const spending = {};
+    transactions
+        .filter(t => t.date >= range.start && t.date <= range.end)
+        .forEach(t => {
+            getCategorySpending(t).forEach(({ category, amount }) => {
+                spending[category] = (spending[category] || 0) + amount;
+            });
+        });
+    
+    return Object.entries(budgets)
+        .map(([category, categoryBudget]) => {
+            let available = 0;
+            let budgeted = false;
+            
+            for (let month = startMonth; month <= endMonth; month = getNextMonth(month)) {
+                const base = getBaseBudget(categoryBudget, month);
+                if (base === null) continue;
+                
+                const [year, monthNum] = month.split('-').map(Number);
+                const daysInMonth = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+                const first = month === startMonth ? Number(range.start.slice(8)) : 1;
+                const last = month === endMonth ? Number(range.end.slice(8)) : daysInMonth;
+                
+                available += base * ((last - first + 1) / daysInMonth);
+                budgeted = true;
+            }
+            
+            if (!budgeted) {
+                return null;
+            }
+            
+            const spent = spending[category] || 0;
+            const percentage = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+            
+            return {
+                category,
+                budget: available,
+                rollover: false,
+                carriedOver: 0,
+                available,
+                spent,
+                remaining: available - spent,
+                percentage,
+                threshold: getAlertThreshold(percentage)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.category.localeCompare(b.category));
+}
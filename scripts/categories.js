@@ -0,0 +1,48 @@
+/**
+ * Categories Module
+ * Colours, icons and archive status for user-managed categories
+ */
+
+// Colours given to categories that have not been recoloured, in category order
+export const CATEGORY_COLORS = ['#2563eb', '#16a34a', '#ea580c', '#9333ea', '#dc2626', '#0891b2', '#ca8a04', '#64748b'];
+
+const DEFAULT_ICONS = {
+    Food: '🍔',
+    Books: '📚',
+    Transport: '🚌',
+    Entertainment: '🎬',
+    Fees: '🏫',
+    Income: '💰',
+    Other: '📦'
+};
+
+export const DEFAULT_ICON = '🏷️';
+
+/**
+ * Get display details for a category
+ * Details are stored in settings.categoryInfo; anything missing falls back to a default
+ * @param {Object} settings - Settings object
+ * @param {string} name - Category name
+ * @returns {Object} - {name, color, icon, archived}
+ */
+export function getCategoryInfo(settings, name) {
+    const categories = settings.categories || [];
+    const info = (settings.categoryInfo || {})[name] || {};
+    const index = Math.max(0, categories.indexOf(name));
+    
+    return {
+        name,
+        color: info.color || CATEGORY_COLORS[index % CATEGORY_COLORS.length],
+        icon: info.icon || DEFAULT_ICONS[name] || DEFAULT_ICON,
+        archived: Boolean(info.archived)
+    };
+}
+
+/**
+ * Get categories that can be chosen for new transactions
+ * @param {Object} settings - Settings object
+ * @returns {Array} - Category names that are not archived
+ */
+export function getActiveCategories(settings) {
+    return (settings.categories || []).filter(name => !getCategoryInfo(settings, name).archived);
+}
@@ -0,0 +1,231 @@
+/**
+ * CSV Module
+ * Parses bank and mobile-money CSV statements into transaction data
+ */
+
+import * as validators from './validators.js';
+import { findCategory } from './rules.js';
+
+// Delimiters tried when detecting the format of a file
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+// Date formats found in statements, tried in this order when detecting
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+// Header names recognised for each mapped field
+const HEADER_PATTERNS = {
+    date: /date|time|posted/i,
+    description: /desc|narration|details|memo|payee|particulars/i,
+    amount: /amount|value|debit|sum|total/i,
+    category: /categ/i
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells containing delimiters, newlines and doubled quotes
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array} - Array of rows, each an array of strings
+ */
+export function parseCSV(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Detect the delimiter used in CSV text
+ * Picks the delimiter that splits the first lines into the same, largest number of cells
+ * @param {string} text - CSV text
+ * @returns {string} - Detected delimiter (default: ',')
+ */
+export function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10).join('\n');
+    
+    let best = ',';
+    let bestColumns = 1;
+    
+    DELIMITERS.forEach(delimiter => {
+        const counts = parseCSV(sample, delimiter).map(row => row.length);
+        const consistent = counts.length > 0 && counts.every(count => count === counts[0]);
+        if (consistent && counts[0] > bestColumns) {
+            best = delimiter;
+            bestColumns = counts[0];
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Convert a date string in the given format to YYYY-MM-DD
+ * @param {string} value - Date string
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} - ISO date or null if it does not match the format
+ */
+export function parseDate(value, format) {
+    const parts = value.trim().split(/[-/.]/);
+    const separator = format.charAt(format.search(/[-/.]/));
+    if (parts.length !== 3 || !value.includes(separator)) {
+        return null;
+    }
+    
+    const order = format.split(/[-/.]/);
+    const fields = {};
+    order.forEach((key, i) => {
+        fields[key] = parts[i];
+    });
+    
+    if (!/^\d{4}$/.test(fields.YYYY) || !/^\d{1,2}$/.test(fields.MM) || !/^\d{1,2}$/.test(fields.DD)) {
+        return null;
+    }
+    
+    const iso = `${fields.YYYY}-${fields.MM.padStart(2, '0')}-${fields.DD.padStart(2, '0')}`;
+    const date = new Date(`${iso}T00:00:00Z`);
+    if (!validators.patterns.date.test(iso) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) {
+        return null;
+    }
+    
+    return iso;
+}
+
+/**
+ * Detect the date format used by a column of values
+ * Where day and month are ambiguous, day-first is preferred
+ * @param {Array} values - Date strings from the file
+ * @returns {string} - Detected format (default: 'YYYY-MM-DD')
+ */
+export function detectDateFormat(values) {
+    const sample = values.filter(value => value && value.trim() !== '').slice(0, 50);
+    const match = DATE_FORMATS.find(format => sample.length > 0 && sample.every(value => parseDate(value, format)));
+    return match || DATE_FORMATS[0];
+}
+
+/**
+ * Parse an amount as it appears in a statement
+ * Handles currency symbols, thousands separators and (bracketed) negatives
+ * @param {string} value - Amount string
+ * @returns {number|null} - Parsed amount or null if not a number
+ */
+export function parseAmount(value) {
+    let text = (value || '').trim();
+    let negative = false;
+    
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    
+    text = text.replace(/[^\d.,-]/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    }
+    
+    // Treat the last separator as decimal when it is followed by exactly 1-2 digits
+    const decimalMatch = text.match(/[.,](\d{1,2})$/);
+    const whole = decimalMatch ? text.slice(0, -decimalMatch[0].length) : text;
+    const digits = whole.replace(/[.,]/g, '') + (decimalMatch ? `.${decimalMatch[1]}` : '');
+    
+    if (!/^\d+(\.\d{1,2})?$/.test(digits)) {
+        return null;
+    }
+    
+    const amount = parseFloat(digits);
+    return negative ? -amount : amount;
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array} headers - Header cells
+ * @returns {Object} - Map of field to column index (-1 if not found)
+ */
+export function guessColumnMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    
+    Object.entries(HEADER_PATTERNS).forEach(([field, pattern]) => {
+        const index = headers.findIndex((header, i) => !used.has(i) && pattern.test(header));
+        mapping[field] = index;
+        if (index !== -1) {
+            used.add(index);
+        }
+    });
+    
+    return mapping;
+}
+
+/**
+ * Build transaction data from CSV rows and validate every row
+ * When the amount column contains negatives, negative rows are expenses and positive rows income;
+ * otherwise every row is an expense. Rows without a known category are categorised by the rules,
+ * then fall back to the default category
+ * @param {Array} rows - Data rows (without the header)
+ * @param {Object} mapping - Map of field to column index
+ * @param {string} dateFormat - One of DATE_FORMATS
+ * @param {Object} options - {categories: Array, rules: Array, defaultCategory: string, currency: string}
+ * @returns {Array} - Array of {row, data, errors, valid}
+ */
+export function buildTransactions(rows, mapping, dateFormat, options = {}) {
+    const { categories = [], rules = [], defaultCategory = 'Other', currency } = options;
+    const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    const hasNegatives = rows.some(row => (parseAmount(cell(row, 'amount')) || 0) < 0);
+    
+    return rows.map((row, index) => {
+        const amount = parseAmount(cell(row, 'amount'));
+        const rawCategory = cell(row, 'category');
+        const description = cell(row, 'description').replace(/\s+/g, ' ');
+        const category = categories.find(c => c.toLowerCase() === rawCategory.toLowerCase())
+            || findCategory(rules, description)
+            || defaultCategory;
+        
+        const data = {
+            description,
+            amount: amount === null ? cell(row, 'amount') : Math.abs(amount).toFixed(2),
+            type: hasNegatives && amount > 0 ? 'income' : 'expense',
+            category,
+            date: parseDate(cell(row, 'date'), dateFormat) || cell(row, 'date'),
+            currency
+        };
+        
+        const { valid, errors } = validators.validateTransaction(data);
+        return { row: index + 1, data, errors, valid };
+    });
+}
@@ -0,0 +1,91 @@
+/**
+ * Currency Module
+ * Converts between supported currencies and formats amounts for display
+ */
+
+// Stored rates are "1 unit of currency = rate NGN", so NGN is the reference currency
+export const REFERENCE_CURRENCY = 'NGN';
+
+export const CURRENCIES = {
+    NGN: { symbol: '₦', name: 'Nigerian Naira', rateKey: null },
+    USD: { symbol: '$', name: 'US Dollar', rateKey: 'usdRate' },
+    RWF: { symbol: 'FRw ', name: 'Rwandan Franc', rateKey: 'rwfRate' }
+};
+
+export const DEFAULT_RATES = {
+    usdRate: 1.09,
+    rwfRate: 1.27
+};
+
+/**
+ * Get the display (base) currency from settings
+ * @param {Object} settings - Settings object
+ * @returns {string} - Currency code
+ */
+export function getBaseCurrency(settings) {
+    return CURRENCIES[settings.baseCurrency] ? settings.baseCurrency : REFERENCE_CURRENCY;
+}
+
+/**
+ * Get the currency a transaction was recorded in
+ * Records saved before currencies existed were entered in NGN
+ * @param {Object} record - Transaction or recurring rule
+ * @returns {string} - Currency code
+ */
+export function getRecordCurrency(record) {
+    return CURRENCIES[record.currency] ? record.currency : REFERENCE_CURRENCY;
+}
+
+/**
+ * Get the rate of a currency against the reference currency
+ * @param {string} currency - Currency code
+ * @param {Object} settings - Settings object
+ * @returns {number} - Value of 1 unit in NGN
+ */
+export function getRate(currency, settings) {
+    const rateKey = CURRENCIES[currency] && CURRENCIES[currency].rateKey;
+    if (!rateKey) {
+        return 1;
+    }
+    
+    const rate = parseFloat(settings[rateKey]);
+    return rate > 0 ? rate : DEFAULT_RATES[rateKey];
+}
+
+/**
+ * Convert an amount between currencies using the stored rates
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency the amount is in
+ * @param {string} to - Currency to convert to
+ * @param {Object} settings - Settings object
+ * @returns {number} - Converted amount
+ */
+export function convert(amount, from, to, settings) {
+    if (from === to) {
+        return amount;
+    }
+    return (amount * getRate(from, settings)) / getRate(to, settings);
+}
+
+/**
+ * Format an amount with its currency symbol
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} - Formatted amount (e.g. "$12.50", "-₦3.00")
+ */
+export function formatAmount(amount, currency) {
+    const symbol = CURRENCIES[currency] ? CURRENCIES[currency].symbol : `${currency} `;
+    const sign = amount < 0 ? '-' : '';
+    return `${sign}${symbol}${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Format an amount with an explicit +/- prefix
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} - Formatted amount (e.g. "+$12.50")
+ */
+export function formatSignedAmount(amount, currency) {
+    const sign = amount < 0 ? '-' : '+';
+    return `${sign}${formatAmount(Math.abs(amount), currency)}`;
+}
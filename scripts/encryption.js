@@ -0,0 +1,329 @@
+/**
+ * Encryption Module
+ * Passphrase encryption (PBKDF2 + AES-GCM via Web Crypto) for export files and locked storage
+ */
+
+import { copyChanged } from './indexeddb.js';
+
+// Marks an export file as encrypted
+export const ENCRYPTED_FORMAT = 'financeApp-encrypted';
+
+// PBKDF2 rounds; each passphrase guess costs this much work
+export const PBKDF2_ITERATIONS = 250000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Known value sealed with the storage key, used to check a passphrase
+const LOCK_CHECK = 'financeApp';
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64 text
+ */
+function toBase64(bytes) {
+    let binary = '';
+    // Convert in chunks so large exports do not exceed the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>} - Key (not extractable)
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a value as JSON
+ * Every call uses a fresh random IV
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} - {iv, data} in base64
+ */
+export async function encryptValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a value encrypted with encryptValue
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} sealed - {iv, data}
+ * @returns {Promise<*>} - Decrypted value
+ */
+export async function decryptValue(key, sealed) {
+    try {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+        return JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+        throw new Error('Wrong passphrase or damaged data');
+    }
+}
+
+/**
+ * Encrypt bytes, such as a receipt file
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Uint8Array} bytes - Bytes to encrypt
+ * @returns {Promise<Uint8Array>} - Fresh random IV followed by the ciphertext
+ */
+export async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    const sealed = new Uint8Array(IV_BYTES + data.length);
+    sealed.set(iv);
+    sealed.set(data, IV_BYTES);
+    return sealed;
+}
+
+/**
+ * Decrypt bytes encrypted with encryptBytes
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Uint8Array} sealed - IV followed by the ciphertext
+ * @returns {Promise<Uint8Array>} - Decrypted bytes
+ */
+export async function decryptBytes(key, sealed) {
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.subarray(0, IV_BYTES) }, key, sealed.subarray(IV_BYTES)));
+    } catch (error) {
+        throw new Error('Wrong passphrase or damaged data');
+    }
+}
+
+/**
+ * Check whether a stored value was encrypted with encryptValue
+ * @param {*} value - Stored value
+ * @returns {boolean} - True if encrypted
+ */
+function isSealed(value) {
+    return value !== null && typeof value === 'object' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Encrypt an export file with a passphrase
+ * @param {Object} value - Export contents
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} - {format, kdf, cipher, iv, data}
+ */
+export async function encryptFile(value, passphrase) {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    const key = await deriveKey(passphrase, salt);
+    return {
+        format: ENCRYPTED_FORMAT,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt },
+        cipher: 'AES-GCM',
+        ...(await encryptValue(key, value))
+    };
+}
+
+/**
+ * Check whether parsed JSON is an encrypted export
+ * @param {*} file - Parsed JSON
+ * @returns {boolean} - True for encrypted files
+ */
+export function isEncrypted(file) {
+    return file !== null && typeof file === 'object' && file.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * Derive the key an encrypted file was made with
+ * Receipt files in a backup archive are encrypted with the key of the backup file beside them
+ * @param {Object} file - Encrypted file
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<CryptoKey>} - Key
+ */
+export async function deriveFileKey(file, passphrase) {
+    if (!file.kdf || typeof file.kdf.salt !== 'string' || !Number.isInteger(file.kdf.iterations) || !isSealed(file)) {
+        throw new Error('Encrypted file is damaged');
+    }
+    
+    return deriveKey(passphrase, file.kdf.salt, file.kdf.iterations);
+}
+
+/**
+ * Decrypt an encrypted export file
+ * @param {Object} file - Encrypted file
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} - Export contents
+ */
+export async function decryptFile(file, passphrase) {
+    return decryptValue(await deriveFileKey(file, passphrase), file);
+}
+
+/**
+ * Create the lock for encrypted storage
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} - {lock: {salt, iterations, check}, key}
+ */
+export async function createLock(passphrase) {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    const key = await deriveKey(passphrase, salt);
+    return {
+        lock: { salt, iterations: PBKDF2_ITERATIONS, check: await encryptValue(key, LOCK_CHECK) },
+        key
+    };
+}
+
+/**
+ * Get the storage key for a lock, checking the passphrase
+ * @param {Object} lock - Lock from createLock
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<CryptoKey>} - Storage key
+ */
+export async function openLock(lock, passphrase) {
+    const key = await deriveKey(passphrase, lock.salt, lock.iterations);
+    const check = await decryptValue(key, lock.check).catch(() => null);
+    if (check !== LOCK_CHECK) {
+        throw new Error('Wrong passphrase');
+    }
+    
+    return key;
+}
+
+/**
+ * Open a storage adapter that encrypts everything it writes to another adapter
+ * Values are decrypted into memory on opening and when another tab changes them; records are encrypted one at a time (their ids stay readable
+ * so per-record writes still work). Values found unencrypted, e.g. after an interrupted change of
+ * lock mode, are read as they are and encrypted straight away.
+ * @param {Object} inner - Adapter holding the encrypted data
+ * @param {CryptoKey} key - Storage key
+ * @param {Array} keys - Storage keys to encrypt
+ * @param {Array} recordKeys - Keys stored one record per id
+ * @returns {Promise<Object>} - Storage adapter
+ */
+export async function openLockedAdapter(inner, key, keys, recordKeys) {
+    const cache = new Map();
+    // Encrypted form of each record by id, so unchanged records are not encrypted again
+    const sealedRecords = new Map(recordKeys.map(storageKey => [storageKey, new Map()]));
+    
+    // Decrypt values from the inner adapter into the cache, returning the keys found unencrypted
+    const load = async (storageKeys) => {
+        const unsealed = [];
+        
+        for (const storageKey of storageKeys) {
+            const stored = inner.read(storageKey);
+            if (stored === null) {
+                cache.delete(storageKey);
+                continue;
+            }
+            
+            if (recordKeys.includes(storageKey)) {
+                const sealed = sealedRecords.get(storageKey);
+                sealed.clear();
+                cache.set(storageKey, await Promise.all(stored.map(record => {
+                    if (!isSealed(record)) {
+                        unsealed.push(storageKey);
+                        return record;
+                    }
+                    sealed.set(record.id, record);
+                    return decryptValue(key, record);
+                })));
+            } else if (isSealed(stored)) {
+                cache.set(storageKey, await decryptValue(key, stored));
+            } else {
+                cache.set(storageKey, stored);
+                unsealed.push(storageKey);
+            }
+        }
+        
+        return unsealed;
+    };
+    
+    // Encrypt any unencrypted values found, through the adapter's own queue
+    const sealAll = (unsealed) => {
+        new Set(unsealed).forEach(storageKey => {
+            const value = cache.get(storageKey);
+            if (recordKeys.includes(storageKey)) {
+                adapter.writeRecords(storageKey, value, value, []);
+            } else {
+                adapter.write(storageKey, value);
+            }
+        });
+    };
+    
+    const unsealed = await load(keys);
+    
+    // Encryption is asynchronous, so writes are queued to reach storage in order
+    let queue = Promise.resolve();
+    const enqueue = (label, task) => {
+        queue = queue.then(task).catch(error => console.error(`Error saving ${label}:`, error));
+    };
+    
+    const adapter = {
+        name: `${inner.name} (locked)`,
+        
+        read(storageKey) {
+            return cache.has(storageKey) ? JSON.parse(JSON.stringify(cache.get(storageKey))) : null;
+        },
+        
+        write(storageKey, value) {
+            const copy = JSON.parse(JSON.stringify(value));
+            cache.set(storageKey, copy);
+            enqueue(storageKey, async () => inner.write(storageKey, await encryptValue(key, copy)));
+        },
+        
+        writeRecords(storageKey, records, changed, removedIds) {
+            const copies = JSON.parse(JSON.stringify(changed));
+            const ids = records.map(record => record.id);
+            cache.set(storageKey, copyChanged(cache.get(storageKey), records, changed));
+            
+            enqueue(storageKey, async () => {
+                const sealed = sealedRecords.get(storageKey);
+                const encrypted = await Promise.all(copies.map(async record => ({ id: record.id, ...(await encryptValue(key, record)) })));
+                encrypted.forEach(record => sealed.set(record.id, record));
+                removedIds.forEach(id => sealed.delete(id));
+                inner.writeRecords(storageKey, ids.map(id => sealed.get(id)), encrypted, removedIds);
+            });
+        },
+        
+        remove(storageKey) {
+            cache.delete(storageKey);
+            enqueue(storageKey, async () => {
+                if (sealedRecords.has(storageKey)) {
+                    sealedRecords.get(storageKey).clear();
+                }
+                inner.remove(storageKey);
+            });
+        },
+        
+        flush() {
+            return queue.then(() => inner.flush());
+        },
+        
+        async reload(changedKeys) {
+            // Writes still being encrypted must reach storage before it is read again
+            await queue;
+            await inner.reload(changedKeys);
+            sealAll(await load(changedKeys.filter(storageKey => keys.includes(storageKey))));
+        }
+    };
+    
+    sealAll(unsealed);
+    
+    return adapter;
+}
@@ -0,0 +1,246 @@
+/**
+ * IndexedDB Module
+ * Storage adapter that keeps each transaction as its own record, so saving one change writes one record
+ */
+
+const DB_NAME = 'financeApp';
+const DB_VERSION = 1;
+
+// Object store for single values (settings, budget cap, budgets, recurring rules)
+const VALUES_STORE = 'values';
+
+// Key in the values store recording when localStorage data was moved across
+const MIGRATED_KEY = 'financeApp:migratedAt';
+
+/**
+ * Wait for an IndexedDB request to finish
+ * @param {IDBRequest} request - Request
+ * @returns {Promise} - Resolves with the request result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise} - Resolves once every write in the transaction is stored
+ */
+export function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Update a cached list of records after a write, copying only the records that changed
+ * Unchanged records keep their cached copies, so a save does not copy the whole list
+ * @param {Array} cached - Cached records (undefined if none yet)
+ * @param {Array} records - Every record, as written
+ * @param {Array} changed - Records that were added or changed
+ * @returns {Array} - New cached list
+ */
+export function copyChanged(cached, records, changed) {
+    const previous = new Map((cached || []).map(record => [record.id, record]));
+    const changedIds = new Set(changed.map(record => record.id));
+    return records.map(record => (changedIds.has(record.id) || !previous.has(record.id)
+        ? JSON.parse(JSON.stringify(record))
+        : previous.get(record.id)));
+}
+
+/**
+ * Open the database, creating a store per record key on first use
+ * @param {Array} recordKeys - Keys stored one record per id (e.g. transactions)
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase(recordKeys) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(VALUES_STORE)) {
+            db.createObjectStore(VALUES_STORE);
+        }
+        recordKeys.forEach(key => {
+            if (!db.objectStoreNames.contains(key)) {
+                db.createObjectStore(key, { keyPath: 'id' });
+            }
+        });
+    };
+    
+    return promisifyRequest(request);
+}
+
+/**
+ * Read everything in the database into a map of key to value
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} recordKeys - Keys stored one record per id
+ * @returns {Promise<Map>} - Stored values; record keys map to arrays of records
+ */
+async function readAll(db, recordKeys) {
+    const tx = db.transaction([VALUES_STORE, ...recordKeys], 'readonly');
+    const values = tx.objectStore(VALUES_STORE);
+    const [keys, stored, ...records] = await Promise.all([
+        promisifyRequest(values.getAllKeys()),
+        promisifyRequest(values.getAll()),
+        ...recordKeys.map(key => promisifyRequest(tx.objectStore(key).getAll()))
+    ]);
+    
+    const cache = new Map(keys.map((key, i) => [key, stored[i]]));
+    recordKeys.forEach((key, i) => {
+        if (records[i].length > 0) {
+            cache.set(key, records[i]);
+        }
+    });
+    
+    return cache;
+}
+
+/**
+ * Read some keys from the database again
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} keys - Keys to read
+ * @param {Array} recordKeys - Keys stored one record per id
+ * @returns {Promise<Map>} - Stored values; keys with nothing stored are left out
+ */
+async function readKeys(db, keys, recordKeys) {
+    const storeNames = [...new Set(keys.map(key => recordKeys.includes(key) ? key : VALUES_STORE))];
+    const tx = db.transaction(storeNames, 'readonly');
+    const values = await Promise.all(keys.map(key => recordKeys.includes(key)
+        ? promisifyRequest(tx.objectStore(key).getAll())
+        : promisifyRequest(tx.objectStore(VALUES_STORE).get(key))
+    ));
+    
+    const stored = new Map();
+    keys.forEach((key, i) => {
+        const empty = recordKeys.includes(key) ? values[i].length === 0 : values[i] === undefined;
+        if (!empty) {
+            stored.set(key, values[i]);
+        }
+    });
+    
+    return stored;
+}
+
+/**
+ * Copy data saved by an earlier version (in localStorage) into the database
+ * The old keys are only removed once the copy has been committed
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} keys - Every storage key
+ * @param {Array} recordKeys - Keys stored one record per id
+ * @param {Object} legacy - Adapter holding the old data
+ * @returns {Promise<Map>} - Migrated values
+ */
+async function migrate(db, keys, recordKeys, legacy) {
+    const migrated = new Map();
+    keys.forEach(key => {
+        const value = legacy.read(key);
+        if (value !== null) {
+            migrated.set(key, value);
+        }
+    });
+    migrated.set(MIGRATED_KEY, new Date().toISOString());
+    
+    const tx = db.transaction([VALUES_STORE, ...recordKeys], 'readwrite');
+    migrated.forEach((value, key) => {
+        if (recordKeys.includes(key)) {
+            value.forEach(record => tx.objectStore(key).put(record));
+        } else {
+            tx.objectStore(VALUES_STORE).put(value, key);
+        }
+    });
+    await transactionDone(tx);
+    
+    keys.forEach(key => legacy.remove(key));
+    return migrated;
+}
+
+/**
+ * Open the IndexedDB storage adapter
+ * Data is read into memory once, so reads stay synchronous; writes are sent to the database in the background
+ * Reads return copies and writes store copies, so callers never share objects with the cache
+ * @param {Array} keys - Every storage key
+ * @param {Array} recordKeys - Keys stored one record per id
+ * @param {Object} legacy - Adapter to migrate existing data from on first use
+ * @param {Function} onError - Called with the key and error when a background write fails
+ * @returns {Promise<Object>} - Storage adapter
+ */
+export async function openIndexedDBAdapter(keys, recordKeys, legacy, onError) {
+    if (typeof indexedDB === 'undefined') {
+        throw new Error('IndexedDB is not supported');
+    }
+    
+    const db = await openDatabase(recordKeys);
+    let cache = await readAll(db, recordKeys);
+    if (!cache.has(MIGRATED_KEY)) {
+        cache = await migrate(db, keys, recordKeys, legacy);
+    }
+    
+    // Writes run in the background, in the order they were started; the caller has already
+    // moved on, so a failed write (e.g. storage full) is reported to onError
+    let pending = Promise.resolve();
+    const run = (storeNames, key, write) => {
+        const tx = db.transaction(storeNames, 'readwrite');
+        write(tx);
+        const done = transactionDone(tx).catch(error => onError(key, error));
+        pending = Promise.all([pending, done]);
+    };
+    
+    return {
+        name: 'IndexedDB',
+        
+        read(key) {
+            return cache.has(key) ? JSON.parse(JSON.stringify(cache.get(key))) : null;
+        },
+        
+        write(key, value) {
+            const copy = JSON.parse(JSON.stringify(value));
+            cache.set(key, copy);
+            run([VALUES_STORE], key, tx => tx.objectStore(VALUES_STORE).put(copy, key));
+        },
+        
+        writeRecords(key, records, changed, removedIds) {
+            cache.set(key, copyChanged(cache.get(key), records, changed));
+            run([key], key, tx => {
+                const store = tx.objectStore(key);
+                changed.forEach(record => store.put(record));
+                removedIds.forEach(id => store.delete(id));
+            });
+        },
+        
+        remove(key) {
+            cache.delete(key);
+            const store = recordKeys.includes(key) ? key : VALUES_STORE;
+            run([store], key, tx => {
+                if (store === key) {
+                    tx.objectStore(store).clear();
+                } else {
+                    tx.objectStore(store).delete(key);
+                }
+            });
+        },
+        
+        flush() {
+            return pending;
+        },
+        
+        async reload(changedKeys) {
+            const known = changedKeys.filter(key => keys.includes(key));
+            if (known.length === 0) return;
+            
+            const stored = await readKeys(db, known, recordKeys);
+            known.forEach(key => {
+                if (stored.has(key)) {
+                    cache.set(key, stored.get(key));
+                } else {
+                    cache.delete(key);
+                }
+            });
+        }
+    };
+}
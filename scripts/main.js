@@ -3,28 +3,65 @@
  * Initializes the application
  */
 
+import * as storage from './storage.js';
 import * as state from './state.js';
 import * as ui from './ui.js';
+import * as pwa from './pwa.js';
+import * as receipts from './receipts.js';
 
 /**
  * Initialize application
  */
-function init() {
+async function init() {
     console.log('Student Finance Tracker - Initializing...');
     
-    // Initialize state from localStorage
+    // Open IndexedDB (migrating any localStorage data), or fall back to localStorage
+    await storage.initStorage();
+    
+    // Receipt files are kept in a database of their own
+    await receipts.initReceipts();
+    
+    // Another tab turning lock mode on or off changes how data is stored, so start again
+    storage.addRemoteListener(sections => {
+        if (sections.includes('lock')) {
+            location.reload();
+        }
+    });
+    
+    // In lock mode, data stays encrypted until the passphrase is entered
+    if (storage.isLockEnabled()) {
+        await ui.showLockScreen();
+    }
+    
+    // Initialize state from storage
     state.initState();
     
     // Initialize UI and event listeners
     ui.initUI();
     
+    // Cache the app for offline use and offer to reload when a new version is ready
+    pwa.registerServiceWorker(ui.showUpdatePrompt).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+    
     console.log('Student Finance Tracker - Ready!');
 }
 
+/**
+ * Tell the user the app could not start
+ * The UI may not be set up yet, so the message is written straight into the toast
+ * @param {Error} error - Error thrown during start-up
+ */
+function showInitError(error) {
+    console.error('Student Finance Tracker - Failed to start:', error);
+    document.getElementById('toast-message').textContent = 'The app could not start. Reload the page to try again.';
+    document.getElementById('toast').classList.add('visible');
+}
+
 // Wait for DOM to be ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', () => init().catch(showInitError));
 } else {
-    init();
+    init().catch(showInitError);
 }
 
@@ -0,0 +1,90 @@
+/**
+ * Merge Module
+ * Detects duplicates between existing transactions and an imported file
+ */
+
+import { getRecordCurrency } from './currency.js';
+
+// How many days apart two records can be and still count as the same transaction
+export const FUZZY_DATE_DAYS = 2;
+
+// Minimum share of description words two records must have in common
+export const FUZZY_DESCRIPTION_SIMILARITY = 0.5;
+
+/**
+ * Split a description into lowercase words
+ * @param {string} text - Description
+ * @returns {Set} - Set of words
+ */
+function tokenize(text) {
+    return new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+/**
+ * Compare two descriptions by the words they share (Jaccard similarity)
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} - Similarity between 0 and 1
+ */
+export function descriptionSimilarity(a, b) {
+    const wordsA = tokenize(a);
+    const wordsB = tokenize(b);
+    if (wordsA.size === 0 && wordsB.size === 0) {
+        return 1;
+    }
+    
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Get the number of days between two dates
+ * @param {string} a - Date (YYYY-MM-DD)
+ * @param {string} b - Date (YYYY-MM-DD)
+ * @returns {number} - Absolute difference in days
+ */
+function daysBetween(a, b) {
+    return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000;
+}
+
+/**
+ * Check whether two records look like the same transaction
+ * Amount, currency and type must match; dates may differ slightly and descriptions loosely
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {boolean} - True if they are likely duplicates
+ */
+export function isFuzzyDuplicate(a, b) {
+    return Math.abs(parseFloat(a.amount) - parseFloat(b.amount)) < 0.005
+        && getRecordCurrency(a) === getRecordCurrency(b)
+        && (a.type || 'expense') === (b.type || 'expense')
+        && daysBetween(a.date, b.date) <= FUZZY_DATE_DAYS
+        && descriptionSimilarity(a.description, b.description) >= FUZZY_DESCRIPTION_SIMILARITY;
+}
+
+/**
+ * Find imported records that clash with existing transactions
+ * A record clashes by id first, otherwise by a fuzzy date + amount + description match
+ * @param {Array} existing - Current transactions
+ * @param {Array} incoming - Imported records
+ * @returns {Array} - Array of {index, incoming, existing, reason} where reason is 'id' or 'fuzzy'
+ */
+export function findConflicts(existing, incoming) {
+    const byId = new Map(existing.map(t => [t.id, t]));
+    const conflicts = [];
+    
+    incoming.forEach((record, index) => {
+        const idMatch = record.id ? byId.get(record.id) : null;
+        if (idMatch) {
+            conflicts.push({ index, incoming: record, existing: idMatch, reason: 'id' });
+            return;
+        }
+        
+        const fuzzyMatch = existing.find(t => isFuzzyDuplicate(t, record));
+        if (fuzzyMatch) {
+            conflicts.push({ index, incoming: record, existing: fuzzyMatch, reason: 'fuzzy' });
+        }
+    });
+    
+    return conflicts;
+}
@@ -0,0 +1,91 @@
+/**
+ * Periods Module
+ * Works out date ranges for dashboard statistics and the period before them
+ */
+
+import { addDays, getToday } from './recurring.js';
+
+// Periods offered on the dashboard ('all' means no date filter)
+export const PERIODS = ['all', 'week', 'month', 'semester', 'custom'];
+
+/**
+ * Get the date range covered by a period
+ * Weeks start on Monday; semesters run January-June and July-December
+ * @param {string} period - One of PERIODS
+ * @param {string} today - Date the period is relative to (YYYY-MM-DD)
+ * @param {Object} custom - {start, end} used for the custom period
+ * @returns {Object|null} - {start, end} or null for all time
+ */
+export function getPeriodRange(period, today = getToday(), custom = {}) {
+    const [year, month, day] = today.split('-').map(Number);
+    
+    switch (period) {
+        case 'week': {
+            const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+            const start = addDays(today, -weekday);
+            return { start, end: addDays(start, 6) };
+        }
+        case 'month':
+            return { start: `${today.slice(0, 7)}-01`, end: getMonthEnd(year, month) };
+        case 'semester':
+            return month <= 6
+                ? { start: `${year}-01-01`, end: `${year}-06-30` }
+                : { start: `${year}-07-01`, end: `${year}-12-31` };
+        case 'custom':
+            return custom.start && custom.end ? { start: custom.start, end: custom.end } : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the last day of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function getMonthEnd(year, month) {
+    return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Count the days in a range, including both ends
+ * @param {Object} range - {start, end}
+ * @returns {number} - Number of days
+ */
+export function getRangeDays(range) {
+    return Math.round((Date.parse(`${range.end}T00:00:00Z`) - Date.parse(`${range.start}T00:00:00Z`)) / 86400000) + 1;
+}
+
+/**
+ * Get the range of the same length immediately before another
+ * @param {Object} range - {start, end}
+ * @returns {Object} - {start, end}
+ */
+export function getPreviousRange(range) {
+    const end = addDays(range.start, -1);
+    return { start: addDays(end, 1 - getRangeDays(range)), end };
+}
+
+/**
+ * Check whether a date falls inside a range
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object|null} range - {start, end}, or null for all time
+ * @returns {boolean} - True if the date is in the range
+ */
+export function isInRange(date, range) {
+    return !range || (date >= range.start && date <= range.end);
+}
+
+/**
+ * Compare a value with the same value for the previous period
+ * @param {number} current - Value for this period
+ * @param {number} previous - Value for the previous period
+ * @returns {Object} - {difference, percentage} (percentage is null when the previous value is 0)
+ */
+export function calculateChange(current, previous) {
+    return {
+        difference: current - previous,
+        percentage: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null
+    };
+}
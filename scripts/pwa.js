@@ -0,0 +1,52 @@
+/**
+ * PWA Module
+ * Registers the service worker that makes the app installable and usable offline, and reports updates
+ */
+
+/**
+ * Register the service worker
+ * A new version installs in the background and waits; onUpdate receives a function that switches
+ * every open tab to it, so the user decides when to reload
+ * @param {Function} onUpdate - Called with an apply function when a new version is ready
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null where unsupported
+ */
+export async function registerServiceWorker(onUpdate) {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+    
+    // The first install takes control without a reload; later versions reload every tab
+    let controlled = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!controlled) {
+            controlled = true;
+            return;
+        }
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+    });
+    
+    const registration = await navigator.serviceWorker.register('./sw.js');
+    
+    const offer = (worker) => {
+        if (worker && navigator.serviceWorker.controller) {
+            onUpdate(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+        }
+    };
+    
+    // A version may have installed while the app was closed
+    offer(registration.waiting);
+    
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+                offer(worker);
+            }
+        });
+    });
+    
+    return registration;
+}
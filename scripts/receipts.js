@@ -0,0 +1,317 @@
+/**
+ * Receipts Module
+ * Receipt photos and PDFs attached to transactions, kept as blobs in their own IndexedDB database
+ * In lock mode each receipt is encrypted with the storage key; only its id is readable
+ */
+
+import { promisifyRequest, transactionDone } from './indexeddb.js';
+import { encryptValue, decryptValue, encryptBytes, decryptBytes } from './encryption.js';
+
+// Kept apart from the app data, so large files never pass through the storage adapters
+const DB_NAME = 'financeApp-receipts';
+const DB_VERSION = 1;
+const STORE = 'receipts';
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 96;
+
+let db = null;
+
+// Key receipts are encrypted with in lock mode (null when they are stored as they are)
+let key = null;
+
+// Receipt details by id (everything except the file), so thumbnails can be rendered straight away
+const receipts = new Map();
+
+/**
+ * Open the receipts database
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+            request.result.createObjectStore(STORE, { keyPath: 'id' });
+        }
+    };
+    
+    return promisifyRequest(request);
+}
+
+/**
+ * Get a receipt's details without its file
+ * @param {Object} record - Stored receipt {id, name, type, size, thumbnail, createdAt, blob}
+ * @returns {Object} - Receipt details
+ */
+function describe(record) {
+    const { blob, ...details } = record;
+    return details;
+}
+
+/**
+ * Encrypt a receipt for storage, if lock mode is on
+ * @param {Object} record - Receipt {id, name, type, size, thumbnail, createdAt, blob}
+ * @returns {Promise<Object>} - Record to store: the receipt, or {id, sealed, blob} with the details and file encrypted
+ */
+async function seal(record) {
+    if (!key) {
+        return record;
+    }
+    
+    const bytes = await encryptBytes(key, new Uint8Array(await record.blob.arrayBuffer()));
+    return { id: record.id, sealed: await encryptValue(key, describe(record)), blob: new Blob([bytes]) };
+}
+
+/**
+ * Read a stored receipt's details
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object|null>} - Receipt details, or null if it is encrypted and storage is not unlocked
+ */
+async function readDetails(record) {
+    if (!record.sealed) {
+        return describe(record);
+    }
+    return key ? { ...(await decryptValue(key, record.sealed)), id: record.id } : null;
+}
+
+/**
+ * Read a stored receipt's file
+ * @param {Object} record - Stored record
+ * @returns {Promise<Blob|null>} - File, or null if it is encrypted and storage is not unlocked
+ */
+async function readFile(record) {
+    if (!record.sealed) {
+        return record.blob;
+    }
+    if (!key) {
+        return null;
+    }
+    
+    const details = await decryptValue(key, record.sealed);
+    const bytes = await decryptBytes(key, new Uint8Array(await record.blob.arrayBuffer()));
+    return new Blob([bytes], { type: details.type });
+}
+
+/**
+ * Generate unique receipt ID
+ * @returns {string} - Unique ID
+ */
+function generateId() {
+    return `rcpt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Open receipt storage and read every receipt's details
+ * @returns {Promise<boolean>} - False when IndexedDB is unavailable (receipts are then turned off)
+ */
+export async function initReceipts() {
+    if (typeof indexedDB === 'undefined') {
+        return false;
+    }
+    
+    try {
+        db = await openDatabase();
+        await loadReceipts();
+        return true;
+    } catch (error) {
+        console.error('Receipt storage unavailable:', error);
+        db = null;
+        return false;
+    }
+}
+
+/**
+ * Check whether receipts can be attached in this browser
+ * @returns {boolean} - True once receipt storage is open
+ */
+export function isAvailable() {
+    return db !== null;
+}
+
+/**
+ * Read receipt details from the database again
+ * Another tab may have added or removed receipts since they were last read
+ * @returns {Promise<void>}
+ */
+export async function loadReceipts() {
+    const tx = db.transaction(STORE, 'readonly');
+    const records = await promisifyRequest(tx.objectStore(STORE).getAll());
+    const details = await Promise.all(records.map(readDetails));
+    receipts.clear();
+    details.filter(Boolean).forEach(receipt => receipts.set(receipt.id, receipt));
+}
+
+/**
+ * Use the storage key once lock mode is unlocked, and read the encrypted receipts
+ * @param {CryptoKey} newKey - AES-GCM key
+ * @returns {Promise<void>}
+ */
+export async function setKey(newKey) {
+    key = newKey;
+    if (db) {
+        await loadReceipts();
+    }
+}
+
+/**
+ * Store every receipt again under a new key, when lock mode is turned on or off
+ * Receipts are read with the current key first; one stored as it is can always be read
+ * @param {CryptoKey|null} newKey - AES-GCM key, or null to store receipts unencrypted
+ * @returns {Promise<void>}
+ */
+export async function changeKey(newKey) {
+    if (!db) {
+        key = newKey;
+        return;
+    }
+    
+    const tx = db.transaction(STORE, 'readonly');
+    const stored = await promisifyRequest(tx.objectStore(STORE).getAll());
+    const records = await Promise.all(stored.map(async record => {
+        const details = await readDetails(record);
+        return details && { ...details, blob: await readFile(record) };
+    }));
+    
+    key = newKey;
+    const sealed = await Promise.all(records.filter(Boolean).map(seal));
+    const writeTx = db.transaction(STORE, 'readwrite');
+    sealed.forEach(record => writeTx.objectStore(STORE).put(record));
+    await transactionDone(writeTx);
+}
+
+/**
+ * Delete every receipt, when locked data is erased
+ * @returns {Promise<void>}
+ */
+export async function clearReceipts() {
+    key = null;
+    receipts.clear();
+    if (!db) return;
+    
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+}
+
+/**
+ * Get a receipt's details
+ * @param {string} id - Receipt ID
+ * @returns {Object|null} - {id, name, type, size, thumbnail, createdAt} or null if not stored here
+ */
+export function getReceipt(id) {
+    return receipts.get(id) || null;
+}
+
+/**
+ * Get every stored receipt's details
+ * @returns {Array} - Receipt details, oldest first
+ */
+export function getReceipts() {
+    return [...receipts.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Make a small JPEG preview of an image
+ * @param {Blob} file - Image file
+ * @returns {Promise<string|null>} - Data URL, or null for PDFs and images the browser cannot decode
+ */
+async function createThumbnail(file) {
+    if (!file.type.startsWith('image/')) {
+        return null;
+    }
+    
+    try {
+        const image = await createImageBitmap(file);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        image.close();
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Store receipt files
+ * @param {Array} files - Array of {blob, name, type, id?, createdAt?}; restored receipts keep their id
+ * @returns {Promise<Array>} - Stored receipts' details
+ */
+export async function saveReceipts(files) {
+    const records = await Promise.all(files.map(async file => ({
+        id: file.id || generateId(),
+        name: file.name,
+        type: file.type,
+        size: file.blob.size,
+        thumbnail: await createThumbnail(file.blob),
+        createdAt: file.createdAt || new Date().toISOString(),
+        blob: file.blob
+    })));
+    
+    const sealed = await Promise.all(records.map(seal));
+    const tx = db.transaction(STORE, 'readwrite');
+    sealed.forEach(record => tx.objectStore(STORE).put(record));
+    await transactionDone(tx);
+    
+    return records.map(record => {
+        receipts.set(record.id, describe(record));
+        return describe(record);
+    });
+}
+
+/**
+ * Store a file chosen in the transaction form
+ * @param {File} file - Photo or PDF
+ * @returns {Promise<Object>} - Stored receipt's details
+ */
+export async function saveReceipt(file) {
+    const [saved] = await saveReceipts([{ blob: file, name: file.name, type: file.type }]);
+    return saved;
+}
+
+/**
+ * Read a receipt's file
+ * Read from the database rather than the details in memory, so receipts added in another tab open too
+ * @param {string} id - Receipt ID
+ * @returns {Promise<Blob|null>} - File, or null if it is not stored (or cannot be decrypted yet)
+ */
+export async function getReceiptFile(id) {
+    const tx = db.transaction(STORE, 'readonly');
+    const record = await promisifyRequest(tx.objectStore(STORE).get(id));
+    return record ? readFile(record) : null;
+}
+
+/**
+ * Delete receipt files
+ * @param {Array} ids - Receipt IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteReceipts(ids) {
+    const tx = db.transaction(STORE, 'readwrite');
+    ids.forEach(id => tx.objectStore(STORE).delete(id));
+    await transactionDone(tx);
+    ids.forEach(id => receipts.delete(id));
+}
+
+/**
+ * Find stored receipts that no transaction uses
+ * Deleting or editing a transaction keeps its receipt so undo can bring it back, which leaves these behind
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} - Unused receipts' details
+ */
+export function findOrphans(transactions) {
+    const used = new Set(transactions.map(t => t.receiptId).filter(Boolean));
+    return getReceipts().filter(receipt => !used.has(receipt.id));
+}
+
+/**
+ * Add up the space receipts take
+ * @param {Array} list - Receipt details
+ * @returns {number} - Total size in bytes
+ */
+export function getTotalSize(list) {
+    return list.reduce((sum, receipt) => sum + receipt.size, 0);
+}
@@ -0,0 +1,96 @@
+/**
+ * Recurring Module
+ * Works out when recurring transaction rules are due
+ */
+
+// Supported frequencies (a semester repeats every six months)
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'semester'];
+
+const DAY_STEPS = { daily: 1, weekly: 7 };
+const MONTH_STEPS = { monthly: 1, semester: 6 };
+
+/**
+ * Get today's date in local time
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+export function getToday() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} - Shifted date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the nth occurrence of a rule
+ * Monthly dates keep the start day, clamped to the end of shorter months
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {number} n - Occurrence index (0 is the start date)
+ * @returns {string} - Occurrence date (YYYY-MM-DD)
+ */
+export function getOccurrenceDate(startDate, frequency, n) {
+    if (DAY_STEPS[frequency]) {
+        return addDays(startDate, n * DAY_STEPS[frequency]);
+    }
+    
+    const [year, month, day] = startDate.split('-').map(Number);
+    const monthIndex = month - 1 + n * MONTH_STEPS[frequency];
+    const targetYear = year + Math.floor(monthIndex / 12);
+    const targetMonth = monthIndex % 12;
+    const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+    
+    return new Date(Date.UTC(targetYear, targetMonth, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Get occurrences that are due but not yet generated
+ * @param {Object} rule - Recurring rule
+ * @param {string} today - Date to generate up to (YYYY-MM-DD)
+ * @returns {Array} - Array of due dates (YYYY-MM-DD)
+ */
+export function getDueDates(rule, today = getToday()) {
+    const dates = [];
+    if (rule.paused) {
+        return dates;
+    }
+    
+    const limit = rule.endDate && rule.endDate < today ? rule.endDate : today;
+    
+    for (let n = 0; ; n++) {
+        const date = getOccurrenceDate(rule.startDate, rule.frequency, n);
+        if (date > limit) break;
+        if (!rule.lastGenerated || date > rule.lastGenerated) {
+            dates.push(date);
+        }
+    }
+    
+    return dates;
+}
+
+/**
+ * Get the next occurrence that has not been generated yet
+ * @param {Object} rule - Recurring rule
+ * @returns {string|null} - Next date (YYYY-MM-DD) or null if the rule has ended
+ */
+export function getNextDueDate(rule) {
+    for (let n = 0; ; n++) {
+        const date = getOccurrenceDate(rule.startDate, rule.frequency, n);
+        if (rule.endDate && date > rule.endDate) {
+            return null;
+        }
+        if (!rule.lastGenerated || date > rule.lastGenerated) {
+            return date;
+        }
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Rules Module
+ * User-defined rules that pick a transaction's category from its description
+ */
+
+import { compileRegex } from './search.js';
+
+/**
+ * Get category rules from settings, in the order they are tried
+ * @param {Object} settings - Settings object
+ * @returns {Array} - Array of {id, pattern, caseInsensitive, category}
+ */
+export function getRules(settings) {
+    return settings.categoryRules || [];
+}
+
+/**
+ * Find the category for a description
+ * Rules are tried in order and the first match wins
+ * @param {Array} rules - Array of rules
+ * @param {string} description - Transaction description
+ * @returns {string|null} - Category, or null if no rule matches
+ */
+export function findCategory(rules, description) {
+    const match = rules.find(rule => {
+        const regex = compileRegex(rule.pattern, rule.caseInsensitive ? 'i' : '');
+        return regex !== null && regex.test(description);
+    });
+    return match ? match.category : null;
+}
+
+/**
+ * Work out which existing transactions the rules would recategorise
+ * Split transactions are left alone, as their categories are chosen per line
+ * @param {Array} rules - Array of rules
+ * @param {Array} transactions - Array of transactions
+ * @returns {Array} - Array of {transaction, category} for transactions whose category would change
+ */
+export function previewRules(rules, transactions) {
+    return transactions
+        .filter(transaction => !transaction.splits)
+        .map(transaction => ({ transaction, category: findCategory(rules, transaction.description) }))
+        .filter(change => change.category !== null && change.category !== change.transaction.category);
+}
+
+/**
+ * Show a rule the way it would be written as a regex literal
+ * @param {Object} rule - Rule
+ * @returns {string} - e.g. /uber|bolt/i
+ */
+export function formatRule(rule) {
+    return `/${rule.pattern}/${rule.caseInsensitive ? 'i' : ''}`;
+}
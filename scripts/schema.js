@@ -0,0 +1,123 @@
+/**
+ * Schema Module
+ * Versions the stored data model and upgrades older data on load and on import
+ */
+
+import { DEFAULT_RATES, REFERENCE_CURRENCY } from './currency.js';
+
+// Version written by this build; data without a version is version 1
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade to
+ * Each receives data at the previous version ({transactions, settings, budgets, recurringRules};
+ * imports only carry transactions) and returns it upgraded. Add new versions here in order.
+ */
+const MIGRATIONS = {
+    // Version 2: replace the unused eurRate/gbpRate settings with usdRate/rwfRate, and give
+    // records saved before types and currencies existed an explicit type and currency
+    2: data => {
+        const withDefaults = record => ({
+            ...record,
+            type: record.type || 'expense',
+            currency: record.currency || REFERENCE_CURRENCY
+        });
+        const migrated = { ...data };
+        
+        if (data.transactions) {
+            migrated.transactions = data.transactions.map(withDefaults);
+        }
+        
+        if (data.recurringRules) {
+            migrated.recurringRules = data.recurringRules.map(withDefaults);
+        }
+        
+        if (data.settings) {
+            const { eurRate, gbpRate, ...settings } = data.settings;
+            migrated.settings = {
+                ...settings,
+                usdRate: settings.usdRate || DEFAULT_RATES.usdRate,
+                rwfRate: settings.rwfRate || DEFAULT_RATES.rwfRate
+            };
+        }
+        
+        return migrated;
+    }
+};
+
+/**
+ * Upgrade data to the current schema version
+ * Data from a newer version is returned unchanged
+ * @param {Object} data - {transactions, settings, budgets, recurringRules} (any may be missing)
+ * @param {number} version - Version the data was saved with
+ * @returns {Object} - {data, applied} where applied lists the versions migrated to
+ */
+export function migrateData(data, version = 1) {
+    const applied = [];
+    let migrated = data;
+    
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+        migrated = MIGRATIONS[next](migrated);
+        applied.push(next);
+    }
+    
+    return { data: migrated, applied };
+}
+
+/**
+ * Check that data with the given version can be loaded by this build
+ * @param {number} version - Version recorded in the file
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateVersion(version) {
+    if (!Number.isInteger(version) || version < 1) {
+        return { valid: false, message: 'File has an invalid version' };
+    }
+    
+    if (version > SCHEMA_VERSION) {
+        return { valid: false, message: `File is from a newer version of the app (version ${version}). Please update the app first.` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Build the contents of a JSON export
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Object} - {version, exportedAt, transactions}
+ */
+export function createExport(transactions) {
+    return {
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        transactions
+    };
+}
+
+/**
+ * Read transactions from a parsed JSON export, upgrading older exports
+ * Accepts the versioned format and the plain array written before exports were versioned
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Object} - {valid: boolean, message: string, transactions: Array|null, version: number}
+ */
+export function readExport(data) {
+    const versioned = data !== null && typeof data === 'object' && !Array.isArray(data);
+    const version = versioned ? data.version : 1;
+    const transactions = versioned ? data.transactions : data;
+    
+    const versionResult = validateVersion(version);
+    if (!versionResult.valid) {
+        return { valid: false, message: versionResult.message, transactions: null, version };
+    }
+    
+    if (!Array.isArray(transactions)) {
+        return { valid: false, message: 'Import data must be an array', transactions: null, version };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        transactions: migrateData({ transactions }, version).data.transactions,
+        version
+    };
+}
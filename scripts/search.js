@@ -1,8 +1,26 @@
 /**
  * Search Module
- * Implements live regex search functionality
+ * Implements live regex search and structured query functionality
  */
 
+import { TRANSACTION_TYPES, patterns } from './validators.js';
+import { CURRENCIES } from './currency.js';
+import { parseTags, formatTags, getTags } from './tags.js';
+
+// Fields that can be filtered with "field:value" (or comparisons for amount and date)
+export const QUERY_FIELDS = ['description', 'category', 'type', 'currency', 'amount', 'date', 'term', 'tag', 'notes'];
+
+// Splits a query into terms, keeping quoted values together (e.g. category:"Food & Drink")
+const TERM_PATTERN = /\S*"[^"]*"\S*|\S+/g;
+
+// Matches "field:value", "field>value", "field>=value", "field<value" and "field<=value"
+const FILTER_PATTERN = /^([a-z]+)(:|>=|<=|>|<)(.*)$/i;
+
+// Dates in a query may be a year, a month or a day
+const QUERY_DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const QUERY_AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
 /**
  * Compile regex pattern safely
  * @param {string} input - Regex pattern string
@@ -29,19 +47,24 @@ export function highlight(text, regex) {
     }
     
     try {
-        // Escape HTML first to prevent XSS
-        const escapedText = escapeHtml(text);
-        
-        // If the regex doesn't match, return the escaped text
-        if (!regex.test(text)) {
-            return escapedText;
-        }
-        
         // Reset regex lastIndex
         regex.lastIndex = 0;
         
-        // Replace matches with <mark> tags
-        return text.replace(regex, match => `<mark>${escapeHtml(match)}</mark>`);
+        // Escape the text between matches as well as the matches, so no part of it is read as HTML
+        let html = '';
+        let last = 0;
+        text.replace(regex, (...args) => {
+            const match = args[0];
+            // The offset comes before the whole text, and before the named groups when there are any
+            const offset = args[args.length - (typeof args[args.length - 1] === 'object' ? 3 : 2)];
+            if (match) {
+                html += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+                last = offset + match.length;
+            }
+            return match;
+        });
+        
+        return html + escapeHtml(text.slice(last));
     } catch (error) {
         console.error('Error highlighting text:', error);
         return escapeHtml(text);
@@ -61,20 +84,284 @@ function escapeHtml(text) {
 }
 
 /**
- * Search transactions using regex
+ * Escape text for a quoted HTML attribute value
+ * Quotes are escaped too, so stored text cannot end the attribute early
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeAttribute(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Test a regex against text from the start, whatever its global flag
+ * @param {RegExp} regex - Regex pattern
+ * @param {string} text - Text to test
+ * @returns {boolean} - True if the regex matches
+ */
+function testRegex(regex, text) {
+    regex.lastIndex = 0;
+    const matches = regex.test(text);
+    regex.lastIndex = 0;
+    return matches;
+}
+
+/**
+ * Get every category a transaction belongs to (more than one when it is split)
+ * @param {Object} transaction - Transaction object
+ * @returns {Array} - Category names
+ */
+function getCategories(transaction) {
+    return transaction.splits && transaction.splits.length > 0
+        ? transaction.splits.map(line => line.category)
+        : [transaction.category];
+}
+
+/**
+ * Remove surrounding quotes from a query value
+ * @param {string} value - Query value
+ * @returns {string} - Unquoted value
+ */
+function unquote(value) {
+    return /^"[^"]*"$/.test(value) ? value.slice(1, -1) : value;
+}
+
+/**
+ * Compare a value against a query operand
+ * @param {number|string} value - Transaction value
+ * @param {string} operator - One of ':', '>', '>=', '<', '<='
+ * @param {number|string} operand - Query value
+ * @returns {boolean} - True if the comparison holds
+ */
+function compare(value, operator, operand) {
+    switch (operator) {
+        case '>': return value > operand;
+        case '>=': return value >= operand;
+        case '<': return value < operand;
+        case '<=': return value <= operand;
+        default: return value === operand;
+    }
+}
+
+/**
+ * Parse an amount filter (amount>20, amount:12.50, amount:10..50)
+ * Amounts are compared in the currency each transaction was recorded in
+ * @param {string} operator - Comparison operator
+ * @param {string} value - Query value
+ * @returns {Object} - {test: Function} or {error: string}
+ */
+function parseAmountFilter(operator, value) {
+    const bounds = operator === ':' && value.includes('..') ? value.split('..') : [value];
+    if (bounds.length > 2 || bounds.some(bound => bound && !QUERY_AMOUNT_PATTERN.test(bound)) || bounds.every(bound => !bound)) {
+        return { error: `Invalid amount "${value}". Use a number such as amount>20 or a range such as amount:10..50.` };
+    }
+    
+    const [min, max] = bounds.map(bound => (bound ? parseFloat(bound) : null));
+    const toCents = amount => Math.round(parseFloat(amount) * 100);
+    
+    if (bounds.length === 2) {
+        return {
+            test: t => (min === null || toCents(t.amount) >= toCents(min)) && (max === null || toCents(t.amount) <= toCents(max))
+        };
+    }
+    
+    return { test: t => compare(toCents(t.amount), operator, toCents(min)) };
+}
+
+/**
+ * Parse a date filter (date:2025-09, date>=2025-09-15, date:2025-09..2025-10)
+ * Each bound is compared at its own precision, so date:2025-09..2025-10 covers all of September and October
+ * @param {string} operator - Comparison operator
+ * @param {string} value - Query value
+ * @returns {Object} - {test: Function} or {error: string}
+ */
+function parseDateFilter(operator, value) {
+    const bounds = operator === ':' && value.includes('..') ? value.split('..') : [value];
+    if (bounds.length > 2 || bounds.some(bound => bound && !QUERY_DATE_PATTERN.test(bound)) || bounds.every(bound => !bound)) {
+        return { error: `Invalid date "${value}". Use YYYY, YYYY-MM or YYYY-MM-DD, or a range such as date:2025-09..2025-10.` };
+    }
+    
+    const atPrecision = (date, bound) => (date || '').slice(0, bound.length);
+    
+    if (bounds.length === 2) {
+        const [start, end] = bounds;
+        return {
+            test: t => (!start || atPrecision(t.date, start) >= start) && (!end || atPrecision(t.date, end) <= end)
+        };
+    }
+    
+    return { test: t => compare(atPrecision(t.date, value), operator, value) };
+}
+
+/**
+ * Parse a term filter (term:"Fall 2025", term:"Fall 2025,Spring 2026")
+ * A transaction matches when its date falls inside one of the named terms
+ * @param {string} value - Query value
+ * @param {Array} terms - Academic terms {name, start, end}
+ * @returns {Object} - {test: Function} or {error: string}
+ */
+function parseTermFilter(value, terms) {
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    const matched = names.map(name => terms.find(term => term.name.toLowerCase() === name.toLowerCase()));
+    
+    const unknown = names.find((name, i) => !matched[i]);
+    if (unknown) {
+        return { error: terms.length > 0 ? `Unknown term "${unknown}". Use ${terms.map(term => term.name).join(', ')}.` : 'No terms have been set up yet. Add them in Settings.' };
+    }
+    
+    return { test: t => matched.some(term => t.date >= term.start && t.date <= term.end) };
+}
+
+/**
+ * Parse a text filter (category:Food, type:income, currency:USD,RWF, tag:#trip,groupproject, description:coffee|tea)
+ * Description and notes values are regex patterns; other fields match one of a comma-separated list
+ * @param {string} field - Field name
+ * @param {string} value - Query value
+ * @param {string} flags - Regex flags
+ * @returns {Object} - {test: Function, regex?: RegExp} or {error: string}
+ */
+function parseTextFilter(field, value, flags) {
+    if (field === 'description' || field === 'notes') {
+        const regex = compileRegex(value, flags);
+        if (!regex) {
+            return { error: getSearchError(value) };
+        }
+        return { regex, test: t => testRegex(regex, t[field] || '') };
+    }
+    
+    if (field === 'tag') {
+        const wanted = parseTags(value.split(','));
+        const invalid = wanted.find(tag => !patterns.tag.test(tag));
+        if (invalid !== undefined || wanted.length === 0) {
+            return { error: `Invalid tag "${invalid === undefined ? value : invalid}". Use tag:trip or tag:#trip,groupproject.` };
+        }
+        // Highlights only the matching chips, which are shown with their #
+        const regex = compileRegex(`^#(?:${wanted.join('|')})$`, flags);
+        return { regex, test: t => getTags(t).some(tag => wanted.includes(tag)) };
+    }
+    
+    const options = value.split(',').map(option => option.trim().toLowerCase()).filter(Boolean);
+    
+    if (field === 'type') {
+        const unknown = options.find(option => !TRANSACTION_TYPES.includes(option));
+        if (unknown) {
+            return { error: `Unknown type "${unknown}". Use ${TRANSACTION_TYPES.join(', ')}.` };
+        }
+        return { test: t => options.includes(t.type || 'expense') };
+    }
+    
+    if (field === 'currency') {
+        const unknown = options.find(option => !CURRENCIES[option.toUpperCase()]);
+        if (unknown) {
+            return { error: `Unknown currency "${unknown}". Use ${Object.keys(CURRENCIES).join(', ')}.` };
+        }
+        return { test: t => options.includes((t.currency || 'NGN').toLowerCase()) };
+    }
+    
+    return { test: t => getCategories(t).some(category => options.includes((category || '').toLowerCase())) };
+}
+
+/**
+ * Parse a search query into field filters and a free-text regex
+ * Terms such as category:Food, amount>20 or date:2025-09..2025-10 become filters; all other
+ * terms are joined back together and searched as a regex across every field
+ * @param {string} input - Query typed in the search box
+ * @param {string} flags - Regex flags (default: 'gi')
+ * @param {Array} terms - Academic terms for term: filters
+ * @returns {Object} - {valid: boolean, message: string, query: Object|null}
+ */
+export function parseQuery(input, flags = 'gi', terms = []) {
+    const filters = [];
+    const freeTerms = [];
+    
+    for (const term of (input || '').match(TERM_PATTERN) || []) {
+        const match = term.match(FILTER_PATTERN);
+        const field = match && match[1].toLowerCase();
+        
+        if (!match || !QUERY_FIELDS.includes(field)) {
+            freeTerms.push(term);
+            continue;
+        }
+        
+        const [, , operator] = match;
+        const value = unquote(match[3]);
+        if (!value) {
+            return { valid: false, message: `Missing value for "${field}".`, query: null };
+        }
+        
+        let filter;
+        if (field === 'amount') {
+            filter = parseAmountFilter(operator, value);
+        } else if (field === 'date') {
+            filter = parseDateFilter(operator, value);
+        } else if (field === 'term' && operator === ':') {
+            filter = parseTermFilter(value, terms);
+        } else if (operator !== ':') {
+            filter = { error: `"${field}" cannot be compared with ${operator}. Use ${field}:value.` };
+        } else {
+            filter = parseTextFilter(field, value, flags);
+        }
+        
+        if (filter.error) {
+            return { valid: false, message: filter.error, query: null };
+        }
+        filters.push({ field, ...filter });
+    }
+    
+    const pattern = freeTerms.join(' ');
+    const regex = compileRegex(pattern, flags);
+    if (pattern && !regex) {
+        return { valid: false, message: getSearchError(pattern), query: null };
+    }
+    
+    return { valid: true, message: '', query: { filters, regex, flags } };
+}
+
+/**
+ * Get the regex used to highlight one field of the results
+ * A filtered field is highlighted in full (or by its description regex); free text is
+ * highlighted wherever it matches
+ * @param {Object|null} query - Parsed query
+ * @param {string} field - Field name
+ * @returns {RegExp|null} - Highlight regex or null for no highlighting
+ */
+export function getHighlightRegex(query, field) {
+    if (!query) {
+        return null;
+    }
+    
+    const sources = query.filters
+        .filter(filter => filter.field === field)
+        .map(filter => (filter.regex ? filter.regex.source : '^.+$'));
+    if (query.regex) {
+        sources.push(query.regex.source);
+    }
+    
+    return sources.length > 0 ? compileRegex(sources.map(source => `(?:${source})`).join('|'), query.flags) : null;
+}
+
+/**
+ * Search transactions using a parsed query
+ * Free text is matched against the description, category, amount, currency, type, tags (with their #) and notes
  * @param {Array} transactions - Array of transaction objects
- * @param {RegExp|null} regex - Regex pattern to match
+ * @param {Object|RegExp|null} query - Parsed query (or a plain regex)
  * @returns {Array} - Filtered array of transactions
  */
-export function searchTransactions(transactions, regex) {
-    if (!regex) {
+export function searchTransactions(transactions, query) {
+    if (!query) {
         return transactions;
     }
     
+    const { filters = [], regex = null } = query instanceof RegExp ? { regex: query } : query;
+    
     return transactions.filter(transaction => {
-        // Search in description, category, and amount
-        const searchableText = `${transaction.description} ${transaction.category} ${transaction.amount}`;
-        return regex.test(searchableText);
+        if (!filters.every(filter => filter.test(transaction))) {
+            return false;
+        }
+        
+        // Search in description, category, amount, currency, type, tags and notes
+        const searchableText = `${transaction.description} ${getCategories(transaction).join(' ')} ${transaction.amount} ${transaction.currency || ''} ${transaction.type || 'expense'} ${formatTags(getTags(transaction))} ${transaction.notes || ''}`;
+        return !regex || testRegex(regex, searchableText);
     });
 }
 
@@ -4,27 +4,117 @@
  */
 
 import * as storage from './storage.js';
+import * as recurring from './recurring.js';
+import * as currency from './currency.js';
+import * as merge from './merge.js';
+import * as periods from './periods.js';
+import * as schema from './schema.js';
+import * as tags from './tags.js';
+import * as budget from './budget.js';
 
 // Application state
 let state = {
     transactions: [],
     settings: {},
     budgetCap: null,
+    budgets: {},
+    recurringRules: [],
     currentSort: { field: 'date', ascending: false },
     currentSearch: null,
-    editingId: null
+    editingId: null,
+    editingRuleId: null,
+    // Set when another tab changes or deletes the transaction being edited: {id, deleted}
+    editConflict: null
 };
 
 // State change listeners
 const listeners = [];
 
+// Undo/redo history of persisted data: each entry is {label, sections} holding only the
+// sections the change touched, as they were before it
+const MAX_HISTORY = 50;
+
+// Sections of persisted data, and how each is saved
+const DATA_SECTIONS = ['transactions', 'settings', 'budgetCap', 'budgets', 'recurringRules'];
+const SECTION_SAVERS = {
+    transactions: storage.saveTransactions,
+    settings: storage.saveSettings,
+    budgetCap: storage.saveBudgetCap,
+    budgets: storage.saveBudgets,
+    recurringRules: storage.saveRecurringRules
+};
+const history = {
+    undo: [],
+    redo: []
+};
+
 /**
- * Initialize state from localStorage
+ * Initialize state from storage
  */
 export function initState() {
-    state.transactions = storage.loadTransactions();
-    state.settings = storage.loadSettings();
+    const version = storage.loadSchemaVersion();
+    const { data, applied } = schema.migrateData({
+        transactions: storage.loadTransactions(),
+        settings: storage.loadSettings(),
+        budgets: storage.loadBudgets(),
+        recurringRules: storage.loadRecurringRules()
+    }, version);
+    
+    state.transactions = data.transactions;
+    state.settings = data.settings;
     state.budgetCap = storage.loadBudgetCap();
+    state.budgets = data.budgets;
+    state.recurringRules = data.recurringRules;
+    
+    // Save upgraded data straight away so migrations only run once
+    if (applied.length > 0) {
+        storage.saveTransactions(state.transactions);
+        storage.saveSettings(state.settings);
+        storage.saveBudgets(state.budgets);
+        storage.saveRecurringRules(state.recurringRules);
+        storage.saveSchemaVersion(schema.SCHEMA_VERSION);
+    }
+    
+    generateRecurringTransactions();
+    storage.addRemoteListener(applyRemoteChanges);
+    notifyListeners();
+}
+
+/**
+ * Load data another tab has saved into memory
+ * Transactions are stored one record per id, so the stored list already combines the changes
+ * of every tab. Undo history is cleared, as restoring an older snapshot would discard the
+ * other tab's changes.
+ * @param {Array} sections - Changed sections (transactions, settings, budgetCap, budgets, recurringRules)
+ */
+function applyRemoteChanges(sections) {
+    const editing = state.editingId ? JSON.stringify(getTransaction(state.editingId)) : null;
+    const loaders = {
+        transactions: storage.loadTransactions,
+        settings: storage.loadSettings,
+        budgetCap: storage.loadBudgetCap,
+        budgets: storage.loadBudgets,
+        recurringRules: storage.loadRecurringRules
+    };
+    
+    const changed = sections.filter(section => loaders[section]);
+    if (changed.length === 0) return;
+    
+    changed.forEach(section => {
+        state[section] = loaders[section]();
+    });
+    history.undo = [];
+    history.redo = [];
+    
+    if (editing) {
+        const current = getTransaction(state.editingId);
+        if (!current) {
+            state.editConflict = { id: state.editingId, deleted: true };
+        } else if (JSON.stringify(current) !== editing) {
+            state.editConflict = { id: state.editingId, deleted: false };
+        }
+    }
+    
     notifyListeners();
 }
 
@@ -52,32 +142,203 @@ function notifyListeners() {
 }
 
 /**
- * Generate unique ID for transaction
+ * Copy the persisted parts of state
+ * @returns {Object} - Deep copy of transactions, settings, budgets and recurring rules
+ */
+function takeSnapshot() {
+    return JSON.parse(JSON.stringify({
+        transactions: state.transactions,
+        settings: state.settings,
+        budgetCap: state.budgetCap,
+        budgets: state.budgets,
+        recurringRules: state.recurringRules
+    }));
+}
+
+/**
+ * Copy sections of persisted data for the undo history
+ * Transactions are replaced rather than changed in place, so copying the list is enough and
+ * unchanged transactions are shared between history entries; the other sections are small
+ * and copied in full
+ * @param {Array} sections - Section names
+ * @returns {Object} - Map of section name to its copy
+ */
+function copySections(sections) {
+    const copy = {};
+    sections.forEach(section => {
+        copy[section] = section === 'transactions'
+            ? [...state.transactions]
+            : JSON.parse(JSON.stringify(state[section]));
+    });
+    return copy;
+}
+
+/**
+ * Put sections back and write only those sections to storage
+ * Only transactions that differ from the current ones are written
+ * @param {Object} sections - Map of section name to its data
+ */
+function restoreSections(sections) {
+    Object.entries(sections)
+        .filter(([section]) => DATA_SECTIONS.includes(section))
+        .forEach(([section, value]) => {
+            state[section] = value;
+            SECTION_SAVERS[section](value);
+        });
+}
+
+/**
+ * Record the sections a change is about to touch so it can be undone
+ * @param {string} label - Description of the change (e.g. 'Delete transaction')
+ * @param {Array} sections - Sections the change touches (e.g. ['transactions'])
+ */
+function recordHistory(label, sections) {
+    history.undo.push({ label, sections: copySections(sections) });
+    if (history.undo.length > MAX_HISTORY) {
+        history.undo.shift();
+    }
+    history.redo = [];
+}
+
+/**
+ * Get a copy of every section of app data for a backup
+ * @returns {Object} - {transactions, settings, budgetCap, budgets, recurringRules}
+ */
+export function getBackupData() {
+    return takeSnapshot();
+}
+
+/**
+ * Replace every section of app data with a backup (already validated)
+ * @param {Object} data - {transactions, settings, budgetCap, budgets, recurringRules}
+ */
+export function restoreBackup(data) {
+    recordHistory('Restore backup', DATA_SECTIONS);
+    restoreSections(JSON.parse(JSON.stringify(data)));
+    notifyListeners();
+}
+
+/**
+ * Delete all data, returning settings to their defaults
+ */
+export function resetAllData() {
+    recordHistory('Reset all data', DATA_SECTIONS);
+    storage.clearAllData();
+    state.transactions = storage.loadTransactions();
+    state.settings = storage.loadSettings();
+    state.budgetCap = storage.loadBudgetCap();
+    state.budgets = storage.loadBudgets();
+    state.recurringRules = storage.loadRecurringRules();
+    notifyListeners();
+}
+
+/**
+ * Undo the last change
+ * @returns {string|null} - Label of the undone change, or null if there was nothing to undo
+ */
+export function undo() {
+    const entry = history.undo.pop();
+    if (!entry) {
+        return null;
+    }
+    
+    history.redo.push({ label: entry.label, sections: copySections(Object.keys(entry.sections)) });
+    restoreSections(entry.sections);
+    notifyListeners();
+    
+    return entry.label;
+}
+
+/**
+ * Redo the last undone change
+ * @returns {string|null} - Label of the redone change, or null if there was nothing to redo
+ */
+export function redo() {
+    const entry = history.redo.pop();
+    if (!entry) {
+        return null;
+    }
+    
+    history.undo.push({ label: entry.label, sections: copySections(Object.keys(entry.sections)) });
+    restoreSections(entry.sections);
+    notifyListeners();
+    
+    return entry.label;
+}
+
+/**
+ * Check whether there is a change to undo
+ * @returns {boolean} - True if undo is available
+ */
+export function canUndo() {
+    return history.undo.length > 0;
+}
+
+/**
+ * Check whether there is a change to redo
+ * @returns {boolean} - True if redo is available
+ */
+export function canRedo() {
+    return history.redo.length > 0;
+}
+
+/**
+ * Generate unique ID
+ * @param {string} prefix - ID prefix (default: 'txn')
  * @returns {string} - Unique ID
  */
-function generateId() {
+function generateId(prefix = 'txn') {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substr(2, 9);
-    return `txn_${timestamp}_${random}`;
+    return `${prefix}_${timestamp}_${random}`;
 }
 
 /**
- * Add new transaction
+ * Convert split form data into stored line items
+ * @param {Array} splits - Array of {category, amount} (amounts may be strings)
+ * @returns {Array|null} - Line items, or null when the transaction is not split
+ */
+function normalizeSplits(splits) {
+    if (!splits || splits.length === 0) {
+        return null;
+    }
+    return splits.map(line => ({ category: line.category, amount: parseFloat(line.amount) }));
+}
+
+/**
+ * Build a new transaction record
+ * A split transaction keeps its first line's category as its main category
  * @param {Object} data - Transaction data
- * @returns {Object} - Added transaction
+ * @returns {Object} - Transaction object
  */
-export function addTransaction(data) {
+function createTransaction(data) {
     const now = new Date().toISOString();
-    const transaction = {
+    const splits = normalizeSplits(data.splits);
+    return {
         id: generateId(),
         description: data.description.trim(),
         amount: parseFloat(data.amount),
-        category: data.category,
+        currency: data.currency || currency.getBaseCurrency(state.settings),
+        type: data.type || 'expense',
+        category: splits ? splits[0].category : data.category,
+        ...(splits ? { splits } : {}),
         date: data.date,
+        ...getTagsAndNotes(data),
+        ...(data.receiptId ? { receiptId: data.receiptId } : {}),
         createdAt: now,
         updatedAt: now
     };
+}
+
+/**
+ * Add new transaction
+ * @param {Object} data - Transaction data
+ * @returns {Object} - Added transaction
+ */
+export function addTransaction(data) {
+    const transaction = createTransaction(data);
     
+    recordHistory('Add transaction', ['transactions']);
     state.transactions.push(transaction);
     storage.saveTransactions(state.transactions);
     notifyListeners();
@@ -85,6 +346,22 @@ export function addTransaction(data) {
     return transaction;
 }
 
+/**
+ * Add several transactions at once (saved and notified once)
+ * @param {Array} dataList - Array of transaction data
+ * @returns {Array} - Added transactions
+ */
+export function addTransactions(dataList) {
+    const added = dataList.map(createTransaction);
+    
+    recordHistory('Add transactions', ['transactions']);
+    state.transactions.push(...added);
+    storage.saveTransactions(state.transactions);
+    notifyListeners();
+    
+    return added;
+}
+
 /**
  * Update existing transaction
  * @param {string} id - Transaction ID
@@ -97,12 +374,23 @@ export function updateTransaction(id, data) {
         return null;
     }
     
-    const transaction = state.transactions[index];
+    // The edited transaction replaces the old object, which the undo history may still hold
+    recordHistory('Edit transaction', ['transactions']);
+    const transaction = { ...state.transactions[index] };
     transaction.description = data.description.trim();
     transaction.amount = parseFloat(data.amount);
-    transaction.category = data.category;
+    transaction.currency = data.currency || currency.getRecordCurrency(transaction);
+    transaction.type = data.type || 'expense';
+    setSplits(transaction, data);
     transaction.date = data.date;
+    setTagsAndNotes(transaction, data);
+    if (data.receiptId) {
+        transaction.receiptId = data.receiptId;
+    } else {
+        delete transaction.receiptId;
+    }
     transaction.updatedAt = new Date().toISOString();
+    state.transactions[index] = transaction;
     
     storage.saveTransactions(state.transactions);
     notifyListeners();
@@ -110,6 +398,47 @@ export function updateTransaction(id, data) {
     return transaction;
 }
 
+/**
+ * Set the category and split line items of a transaction or rule
+ * @param {Object} record - Transaction or recurring rule
+ * @param {Object} data - Form data with category and optional splits
+ */
+function setSplits(record, data) {
+    const splits = normalizeSplits(data.splits);
+    record.category = splits ? splits[0].category : data.category;
+    if (splits) {
+        record.splits = splits;
+    } else {
+        delete record.splits;
+    }
+}
+
+/**
+ * Get the optional tags and notes from form data
+ * Empty tags and notes are left out so records without them keep their old shape
+ * @param {Object} data - Form data with optional tags and notes
+ * @returns {Object} - {tags?, notes?}
+ */
+function getTagsAndNotes(data) {
+    const tagList = tags.parseTags(data.tags);
+    const notes = (data.notes || '').trim();
+    return {
+        ...(tagList.length > 0 ? { tags: tagList } : {}),
+        ...(notes ? { notes } : {})
+    };
+}
+
+/**
+ * Set the tags and notes of a transaction or rule
+ * @param {Object} record - Transaction or recurring rule
+ * @param {Object} data - Form data with optional tags and notes
+ */
+function setTagsAndNotes(record, data) {
+    delete record.tags;
+    delete record.notes;
+    Object.assign(record, getTagsAndNotes(data));
+}
+
 /**
  * Delete transaction
  * @param {string} id - Transaction ID
@@ -121,6 +450,7 @@ export function deleteTransaction(id) {
         return false;
     }
     
+    recordHistory('Delete transaction', ['transactions']);
     state.transactions.splice(index, 1);
     storage.saveTransactions(state.transactions);
     notifyListeners();
@@ -128,6 +458,66 @@ export function deleteTransaction(id) {
     return true;
 }
 
+/**
+ * Delete several transactions at once (saved and notified once, undone together)
+ * @param {Array} ids - Transaction IDs
+ * @returns {number} - Number of transactions deleted
+ */
+export function deleteTransactions(ids) {
+    const remove = new Set(ids);
+    const count = state.transactions.filter(t => remove.has(t.id)).length;
+    if (count === 0) {
+        return 0;
+    }
+    
+    recordHistory('Delete transactions', ['transactions']);
+    state.transactions = state.transactions.filter(t => !remove.has(t.id));
+    storage.saveTransactions(state.transactions);
+    notifyListeners();
+    
+    return count;
+}
+
+/**
+ * Change the category or date of several transactions, as previewed for a batch action
+ * Split transactions keep their categories, which are chosen per line
+ * @param {Array} changes - Array of {id, category?, date?}
+ * @param {string} label - Description of the change for undo (e.g. 'Shift dates')
+ * @returns {number} - Number of transactions changed
+ */
+export function updateTransactions(changes, label) {
+    const now = new Date().toISOString();
+    
+    // Only transactions that really change are touched, and nothing is recorded when none do
+    const updates = changes
+        .map(({ id, category, date }) => {
+            const transaction = state.transactions.find(t => t.id === id);
+            return transaction && {
+                transaction,
+                category: !transaction.splits && category !== transaction.category ? category : undefined,
+                date: date !== transaction.date ? date : undefined
+            };
+        })
+        .filter(update => update && (update.category || update.date));
+    if (updates.length === 0) {
+        return 0;
+    }
+    
+    recordHistory(label, ['transactions']);
+    const replaced = new Map(updates.map(({ transaction, category, date }) => [transaction.id, {
+        ...transaction,
+        ...(category ? { category } : {}),
+        ...(date ? { date } : {}),
+        updatedAt: now
+    }]));
+    state.transactions = state.transactions.map(t => replaced.get(t.id) || t);
+    
+    storage.saveTransactions(state.transactions);
+    notifyListeners();
+    
+    return updates.length;
+}
+
 /**
  * Get transaction by ID
  * @param {string} id - Transaction ID
@@ -169,8 +559,8 @@ export function getSortedTransactions() {
         
         // Handle different data types
         if (field === 'amount') {
-            aVal = parseFloat(aVal);
-            bVal = parseFloat(bVal);
+            aVal = getBaseAmount(a);
+            bVal = getBaseAmount(b);
         } else if (field === 'date') {
             aVal = new Date(aVal);
             bVal = new Date(bVal);
@@ -188,17 +578,17 @@ export function getSortedTransactions() {
 }
 
 /**
- * Set search regex
- * @param {RegExp|null} regex - Search regex
+ * Set search query
+ * @param {Object|null} query - Parsed search query
  */
-export function setSearch(regex) {
-    state.currentSearch = regex;
+export function setSearch(query) {
+    state.currentSearch = query;
     notifyListeners();
 }
 
 /**
- * Get current search regex
- * @returns {RegExp|null} - Current search regex
+ * Get current search query
+ * @returns {Object|null} - Current parsed search query
  */
 export function getSearch() {
     return state.currentSearch;
@@ -209,6 +599,7 @@ export function getSearch() {
  * @param {number} cap - Budget cap amount
  */
 export function setBudgetCap(cap) {
+    recordHistory('Set budget cap', ['budgetCap']);
     state.budgetCap = cap;
     storage.saveBudgetCap(cap);
     notifyListeners();
@@ -222,11 +613,54 @@ export function getBudgetCap() {
     return state.budgetCap;
 }
 
+/**
+ * Set a category budget starting from a month
+ * The amount applies to that month and every later month until changed
+ * @param {string} category - Category name
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {number} amount - Budget amount
+ * @param {boolean} rollover - Whether unspent amounts carry into the next month
+ */
+export function setCategoryBudget(category, month, amount, rollover) {
+    const existing = state.budgets[category] || { amounts: {} };
+    recordHistory('Set category budget', ['budgets']);
+    state.budgets = {
+        ...state.budgets,
+        [category]: {
+            amounts: { ...existing.amounts, [month]: amount },
+            rollover
+        }
+    };
+    storage.saveBudgets(state.budgets);
+    notifyListeners();
+}
+
+/**
+ * Remove a category budget
+ * @param {string} category - Category name
+ */
+export function removeCategoryBudget(category) {
+    const { [category]: removed, ...rest } = state.budgets;
+    recordHistory('Remove category budget', ['budgets']);
+    state.budgets = rest;
+    storage.saveBudgets(state.budgets);
+    notifyListeners();
+}
+
+/**
+ * Get category budgets
+ * @returns {Object} - Map of category to budget entry
+ */
+export function getBudgets() {
+    return { ...state.budgets };
+}
+
 /**
  * Update settings
  * @param {Object} settings - Settings object
  */
 export function updateSettings(settings) {
+    recordHistory('Change settings', ['settings']);
     state.settings = { ...state.settings, ...settings };
     storage.saveSettings(state.settings);
     notifyListeners();
@@ -240,31 +674,585 @@ export function getSettings() {
     return { ...state.settings };
 }
 
+/**
+ * Save a search and sort as a named view
+ * @param {Object} data - {name, query, caseInsensitive, sort: {field, ascending}}
+ * @returns {Object} - Saved view
+ */
+export function addSavedView(data) {
+    recordHistory('Save view', ['settings']);
+    const view = {
+        id: generateId('view'),
+        name: data.name.trim(),
+        query: data.query,
+        caseInsensitive: data.caseInsensitive,
+        sort: { ...data.sort }
+    };
+    
+    state.settings = { ...state.settings, savedViews: [...getSavedViews(), view] };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    return view;
+}
+
+/**
+ * Delete a saved view
+ * @param {string} id - View ID
+ * @returns {boolean} - Success status
+ */
+export function deleteSavedView(id) {
+    const views = getSavedViews();
+    if (!views.some(view => view.id === id)) {
+        return false;
+    }
+    
+    recordHistory('Delete view', ['settings']);
+    state.settings = { ...state.settings, savedViews: views.filter(view => view.id !== id) };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    return true;
+}
+
+/**
+ * Get saved views
+ * @returns {Array} - Array of saved views
+ */
+export function getSavedViews() {
+    return state.settings.savedViews || [];
+}
+
+/**
+ * Add an academic term
+ * @param {Object} data - {name, start, end} (already validated)
+ * @returns {Object} - Added term
+ */
+export function addTerm(data) {
+    const term = {
+        id: generateId('term'),
+        name: data.name.trim(),
+        start: data.start,
+        end: data.end
+    };
+    
+    recordHistory('Add term', ['settings']);
+    state.settings = { ...state.settings, terms: [...(state.settings.terms || []), term] };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return term;
+}
+
+/**
+ * Delete an academic term (its transactions are kept)
+ * @param {string} id - Term ID
+ * @returns {boolean} - Success status
+ */
+export function deleteTerm(id) {
+    const terms = state.settings.terms || [];
+    if (!terms.some(term => term.id === id)) {
+        return false;
+    }
+    
+    recordHistory('Delete term', ['settings']);
+    state.settings = { ...state.settings, terms: terms.filter(term => term.id !== id) };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return true;
+}
+
+/**
+ * Add a category rule to the end of the list
+ * @param {Object} data - {pattern, caseInsensitive, category} (already validated)
+ * @returns {Object} - Added rule
+ */
+export function addCategoryRule(data) {
+    const rule = {
+        id: generateId('rule'),
+        pattern: data.pattern,
+        caseInsensitive: Boolean(data.caseInsensitive),
+        category: data.category
+    };
+    
+    recordHistory('Add category rule', ['settings']);
+    state.settings = { ...state.settings, categoryRules: [...getCategoryRules(), rule] };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return rule;
+}
+
+/**
+ * Move a category rule earlier or later in the order rules are tried
+ * @param {string} id - Rule ID
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {boolean} - True if the rule moved
+ */
+export function moveCategoryRule(id, offset) {
+    const rules = [...getCategoryRules()];
+    const index = rules.findIndex(rule => rule.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= rules.length) {
+        return false;
+    }
+    
+    recordHistory('Reorder category rules', ['settings']);
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    state.settings = { ...state.settings, categoryRules: rules };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return true;
+}
+
+/**
+ * Delete a category rule (transactions it categorised are kept as they are)
+ * @param {string} id - Rule ID
+ * @returns {boolean} - Success status
+ */
+export function deleteCategoryRule(id) {
+    const rules = getCategoryRules();
+    if (!rules.some(rule => rule.id === id)) {
+        return false;
+    }
+    
+    recordHistory('Delete category rule', ['settings']);
+    state.settings = { ...state.settings, categoryRules: rules.filter(rule => rule.id !== id) };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return true;
+}
+
+/**
+ * Get category rules in the order they are tried
+ * @returns {Array} - Array of rules
+ */
+export function getCategoryRules() {
+    return state.settings.categoryRules || [];
+}
+
+/**
+ * Recategorise transactions, as previewed from the category rules
+ * Transactions changed since the preview are skipped, and nothing is recorded or saved when none change
+ * @param {Array} changes - Array of {id, category}
+ * @returns {number} - Number of transactions changed
+ */
+export function applyCategoryRules(changes) {
+    return updateTransactions(changes, 'Apply category rules');
+}
+
+/**
+ * Add a category
+ * @param {string} name - Category name (already validated)
+ * @param {Object} details - Optional {color, icon}
+ */
+export function addCategory(name, details = {}) {
+    recordHistory('Add category', ['settings']);
+    state.settings = {
+        ...state.settings,
+        categories: [...(state.settings.categories || []), name],
+        categoryInfo: { ...state.settings.categoryInfo, [name]: { ...details, archived: false } }
+    };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+}
+
+/**
+ * Update a category's colour, icon or archive status
+ * Archived categories stay on existing transactions but are not offered for new ones
+ * @param {string} name - Category name
+ * @param {Object} details - Any of {color, icon, archived}
+ */
+export function updateCategory(name, details) {
+    recordHistory(details.archived === undefined ? 'Change category' : (details.archived ? 'Archive category' : 'Restore category'), ['settings']);
+    const categoryInfo = state.settings.categoryInfo || {};
+    state.settings = {
+        ...state.settings,
+        categoryInfo: { ...categoryInfo, [name]: { ...categoryInfo[name], ...details } }
+    };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+}
+
+/**
+ * Move everything filed under one category to another
+ * Split lines that end up in the same category are combined
+ * @param {string} from - Category being renamed or merged
+ * @param {string} to - Category to move to
+ */
+function moveCategory(from, to) {
+    // Records that use the category are replaced, as the undo history may still hold the old ones
+    const moveRecord = record => {
+        if (record.category !== from && !(record.splits || []).some(line => line.category === from)) {
+            return record;
+        }
+        
+        const moved = { ...record, category: record.category === from ? to : record.category };
+        if (!record.splits) {
+            return moved;
+        }
+        
+        const lines = [];
+        record.splits.forEach(line => {
+            const category = line.category === from ? to : line.category;
+            const existing = lines.find(l => l.category === category);
+            if (existing) {
+                existing.amount = Math.round((existing.amount + line.amount) * 100) / 100;
+            } else {
+                lines.push({ category, amount: line.amount });
+            }
+        });
+        
+        moved.category = lines[0].category;
+        if (lines.length > 1) {
+            moved.splits = lines;
+        } else {
+            delete moved.splits;
+        }
+        return moved;
+    };
+    
+    state.transactions = state.transactions.map(moveRecord);
+    state.recurringRules = state.recurringRules.map(moveRecord);
+    
+    // A merged category's budget only carries over if the target has none
+    if (state.budgets[from]) {
+        const { [from]: budget, ...rest } = state.budgets;
+        state.budgets = rest[to] ? rest : { ...rest, [to]: budget };
+    }
+    
+    storage.saveTransactions(state.transactions);
+    storage.saveRecurringRules(state.recurringRules);
+    storage.saveBudgets(state.budgets);
+}
+
+/**
+ * Rename a category and update every transaction, rule and budget that uses it
+ * @param {string} name - Current category name
+ * @param {string} newName - New category name (already validated)
+ */
+export function renameCategory(name, newName) {
+    recordHistory('Rename category', ['transactions', 'settings', 'budgets', 'recurringRules']);
+    moveCategory(name, newName);
+    
+    const { [name]: info, ...categoryInfo } = state.settings.categoryInfo || {};
+    state.settings = {
+        ...state.settings,
+        categories: (state.settings.categories || []).map(category => (category === name ? newName : category)),
+        categoryInfo: info ? { ...categoryInfo, [newName]: info } : categoryInfo,
+        categoryRules: getCategoryRules().map(rule => (rule.category === name ? { ...rule, category: newName } : rule))
+    };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+}
+
+/**
+ * Merge one category into another and remove it
+ * @param {string} source - Category to merge away
+ * @param {string} target - Category that receives its transactions
+ * @returns {number} - Number of transactions moved
+ */
+export function mergeCategories(source, target) {
+    const moved = state.transactions.filter(t =>
+        t.category === source || (t.splits || []).some(line => line.category === source)
+    ).length;
+    
+    recordHistory('Merge categories', ['transactions', 'settings', 'budgets', 'recurringRules']);
+    moveCategory(source, target);
+    
+    const { [source]: removed, ...categoryInfo } = state.settings.categoryInfo || {};
+    state.settings = {
+        ...state.settings,
+        categories: (state.settings.categories || []).filter(category => category !== source),
+        categoryInfo,
+        categoryRules: getCategoryRules().map(rule => (rule.category === source ? { ...rule, category: target } : rule))
+    };
+    storage.saveSettings(state.settings);
+    notifyListeners();
+    
+    return moved;
+}
+
 /**
  * Import transactions
  * @param {Array} transactions - Array of transactions
  */
 export function importTransactions(transactions) {
+    recordHistory('Import transactions', ['transactions']);
     state.transactions = transactions;
     storage.saveTransactions(state.transactions);
     notifyListeners();
 }
 
+/**
+ * Merge imported records into existing transactions
+ * Records that clash with an existing transaction are resolved per record:
+ * 'skip' ignores the import, 'overwrite' replaces the existing record, 'keep' adds both
+ * @param {Array} incoming - Imported records (full records from JSON, or form-style data from CSV)
+ * @param {Object} resolutions - Map of incoming index to 'skip', 'overwrite' or 'keep' (default: 'skip')
+ * @returns {Object} - {added, updated, skipped}
+ */
+export function mergeTransactions(incoming, resolutions = {}) {
+    const conflicts = new Map(
+        merge.findConflicts(state.transactions, incoming).map(conflict => [conflict.index, conflict])
+    );
+    const usedIds = new Set(state.transactions.map(t => t.id));
+    const summary = { added: 0, updated: 0, skipped: 0 };
+    const now = new Date().toISOString();
+    
+    recordHistory('Import transactions', ['transactions']);
+    
+    incoming.forEach((record, index) => {
+        const conflict = conflicts.get(index);
+        const action = conflict ? (resolutions[index] || 'skip') : 'keep';
+        
+        if (action === 'skip') {
+            summary.skipped++;
+            return;
+        }
+        
+        if (action === 'overwrite') {
+            // The imported record replaces the old one, so fields it lacks (splits, tags, notes, receipt) are dropped
+            const { id, createdAt, ...fields } = record;
+            const existingIndex = state.transactions.findIndex(t => t.id === conflict.existing.id);
+            state.transactions[existingIndex] = {
+                id: conflict.existing.id,
+                createdAt: conflict.existing.createdAt,
+                ...fields,
+                amount: parseFloat(record.amount),
+                currency: record.currency || currency.getBaseCurrency(state.settings),
+                type: record.type || 'expense',
+                updatedAt: now
+            };
+            summary.updated++;
+            return;
+        }
+        
+        // Records without an id (CSV rows) or whose id is taken get a fresh one
+        const transaction = record.id && !usedIds.has(record.id)
+            ? { ...record }
+            : { ...record, ...createTransaction(record) };
+        usedIds.add(transaction.id);
+        state.transactions.push(transaction);
+        summary.added++;
+    });
+    
+    storage.saveTransactions(state.transactions);
+    notifyListeners();
+    
+    return summary;
+}
+
+/**
+ * Find imported records that clash with existing transactions
+ * @param {Array} incoming - Imported records
+ * @returns {Array} - Array of {index, incoming, existing, reason}
+ */
+export function findImportConflicts(incoming) {
+    return merge.findConflicts(state.transactions, incoming);
+}
+
 /**
  * Clear all transactions
  */
 export function clearTransactions() {
+    recordHistory('Clear all transactions', ['transactions']);
     state.transactions = [];
     storage.saveTransactions(state.transactions);
     notifyListeners();
 }
 
+/**
+ * Generate transactions for recurring rules that are due
+ * Each rule remembers the last date it generated, so only occurrences since the last run are added
+ * @param {string} today - Date to generate up to (default: today)
+ * @returns {number} - Number of transactions generated
+ */
+export function generateRecurringTransactions(today = recurring.getToday()) {
+    let generated = 0;
+    
+    state.recurringRules.forEach(rule => {
+        const dates = recurring.getDueDates(rule, today);
+        dates.forEach(date => {
+            state.transactions.push({
+                ...createTransaction({ ...rule, date }),
+                recurringId: rule.id
+            });
+        });
+        
+        if (dates.length > 0) {
+            rule.lastGenerated = dates[dates.length - 1];
+            generated += dates.length;
+        }
+    });
+    
+    if (generated > 0) {
+        storage.saveTransactions(state.transactions);
+        storage.saveRecurringRules(state.recurringRules);
+    }
+    
+    return generated;
+}
+
+/**
+ * Add recurring rule and generate any occurrences already due
+ * @param {Object} data - Transaction data plus frequency and optional until date
+ * @returns {Object} - Added rule
+ */
+export function addRecurringRule(data) {
+    const now = new Date().toISOString();
+    const rule = {
+        id: generateId('rule'),
+        description: data.description.trim(),
+        amount: parseFloat(data.amount),
+        currency: data.currency || currency.getBaseCurrency(state.settings),
+        type: data.type || 'expense',
+        category: data.category,
+        frequency: data.frequency,
+        startDate: data.date,
+        endDate: data.until || null,
+        paused: false,
+        lastGenerated: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    setSplits(rule, data);
+    setTagsAndNotes(rule, data);
+    
+    recordHistory('Add recurring transaction', ['recurringRules', 'transactions']);
+    state.recurringRules.push(rule);
+    storage.saveRecurringRules(state.recurringRules);
+    generateRecurringTransactions();
+    notifyListeners();
+    
+    return rule;
+}
+
+/**
+ * Update recurring rule
+ * Changes apply to future occurrences; transactions already generated are left as they are
+ * @param {string} id - Rule ID
+ * @param {Object} data - Updated rule data
+ * @returns {Object|null} - Updated rule or null if not found
+ */
+export function updateRecurringRule(id, data) {
+    const rule = state.recurringRules.find(r => r.id === id);
+    if (!rule) {
+        return null;
+    }
+    
+    recordHistory('Edit recurring transaction', ['recurringRules', 'transactions']);
+    rule.description = data.description.trim();
+    rule.amount = parseFloat(data.amount);
+    rule.currency = data.currency || currency.getRecordCurrency(rule);
+    rule.type = data.type || 'expense';
+    setSplits(rule, data);
+    setTagsAndNotes(rule, data);
+    rule.frequency = data.frequency;
+    rule.startDate = data.date;
+    rule.endDate = data.until || null;
+    rule.updatedAt = new Date().toISOString();
+    
+    storage.saveRecurringRules(state.recurringRules);
+    generateRecurringTransactions();
+    notifyListeners();
+    
+    return rule;
+}
+
+/**
+ * Pause or resume recurring rule
+ * Occurrences that fell due while paused are skipped rather than back-filled on resume
+ * @param {string} id - Rule ID
+ * @param {boolean} paused - Whether the rule is paused
+ * @returns {Object|null} - Updated rule or null if not found
+ */
+export function setRecurringRulePaused(id, paused) {
+    const rule = state.recurringRules.find(r => r.id === id);
+    if (!rule) {
+        return null;
+    }
+    
+    recordHistory(paused ? 'Pause recurring transaction' : 'Resume recurring transaction', ['recurringRules', 'transactions']);
+    rule.paused = paused;
+    if (!paused) {
+        const yesterday = recurring.addDays(recurring.getToday(), -1);
+        if (!rule.lastGenerated || rule.lastGenerated < yesterday) {
+            rule.lastGenerated = yesterday;
+        }
+    }
+    rule.updatedAt = new Date().toISOString();
+    
+    storage.saveRecurringRules(state.recurringRules);
+    generateRecurringTransactions();
+    notifyListeners();
+    
+    return rule;
+}
+
+/**
+ * Delete recurring rule
+ * Transactions it already generated are kept
+ * @param {string} id - Rule ID
+ * @returns {boolean} - True if deleted, false if not found
+ */
+export function deleteRecurringRule(id) {
+    const index = state.recurringRules.findIndex(r => r.id === id);
+    if (index === -1) {
+        return false;
+    }
+    
+    recordHistory('Delete recurring rule', ['recurringRules']);
+    state.recurringRules.splice(index, 1);
+    storage.saveRecurringRules(state.recurringRules);
+    notifyListeners();
+    
+    return true;
+}
+
+/**
+ * Get recurring rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Object|null} - Rule or null if not found
+ */
+export function getRecurringRule(id) {
+    return state.recurringRules.find(r => r.id === id) || null;
+}
+
+/**
+ * Get all recurring rules
+ * @returns {Array} - Array of recurring rules
+ */
+export function getRecurringRules() {
+    return [...state.recurringRules];
+}
+
+/**
+ * Set editing rule ID
+ * @param {string|null} id - Recurring rule ID being edited
+ */
+export function setEditingRuleId(id) {
+    state.editingRuleId = id;
+    notifyListeners();
+}
+
+/**
+ * Get editing rule ID
+ * @returns {string|null} - Recurring rule ID being edited
+ */
+export function getEditingRuleId() {
+    return state.editingRuleId;
+}
+
 /**
  * Set editing ID
  * @param {string|null} id - Transaction ID being edited
  */
 export function setEditingId(id) {
     state.editingId = id;
+    state.editConflict = null;
     notifyListeners();
 }
 
@@ -276,23 +1264,124 @@ export function getEditingId() {
     return state.editingId;
 }
 
+/**
+ * Get transaction type, treating legacy records without a type as expenses
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - 'expense', 'income' or 'refund'
+ */
+export function getTransactionType(transaction) {
+    return transaction.type || 'expense';
+}
+
+/**
+ * Get transaction amount converted to the base currency
+ * @param {Object} transaction - Transaction object
+ * @returns {number} - Amount in the base currency
+ */
+export function getBaseAmount(transaction) {
+    return currency.convert(
+        transaction.amount,
+        currency.getRecordCurrency(transaction),
+        currency.getBaseCurrency(state.settings),
+        state.settings
+    );
+}
+
+/**
+ * Get the effect of a transaction on the balance, in the base currency
+ * @param {Object} transaction - Transaction object
+ * @returns {number} - Positive for money in, negative for money out
+ */
+export function getSignedAmount(transaction) {
+    const amount = getBaseAmount(transaction);
+    return getTransactionType(transaction) === 'expense' ? -amount : amount;
+}
+
+/**
+ * Get the effect of a transaction on spending, in the base currency
+ * Refunds reduce spending, income does not count as spending
+ * @param {Object} transaction - Transaction object
+ * @returns {number} - Amount spent (negative for refunds)
+ */
+export function getSpentAmount(transaction) {
+    const type = getTransactionType(transaction);
+    if (type === 'expense') return getBaseAmount(transaction);
+    if (type === 'refund') return -getBaseAmount(transaction);
+    return 0;
+}
+
+/**
+ * Get the spending a transaction credits to each category, in the base currency
+ * Split transactions credit each line item to its own category
+ * @param {Object} transaction - Transaction object
+ * @returns {Array} - Array of {category, amount}
+ */
+export function getCategorySpending(transaction) {
+    const spent = getSpentAmount(transaction);
+    if (!transaction.splits || transaction.splits.length === 0) {
+        return [{ category: transaction.category, amount: spent }];
+    }
+    
+    return transaction.splits.map(line => ({
+        category: line.category,
+        amount: spent * (line.amount / transaction.amount)
+    }));
+}
+
+/**
+ * Calculate running balance in date order
+ * @param {Array} transactions - Array of transactions
+ * @returns {Array} - Array of {date, balance} with one entry per day
+ */
+function calculateRunningBalance(transactions) {
+    const chronological = [...transactions].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || '')
+    );
+    
+    const points = [];
+    let balance = 0;
+    chronological.forEach(t => {
+        balance += getSignedAmount(t);
+        const last = points[points.length - 1];
+        if (last && last.date === t.date) {
+            last.balance = balance;
+        } else {
+            points.push({ date: t.date, balance });
+        }
+    });
+    
+    return points;
+}
+
 /**
  * Calculate statistics
+ * Totals, top category, breakdown and net cash flow cover the range (or, for net cash flow,
+ * the current month when there is no range); the running balance, last 7 days and monthly
+ * spending always use every transaction
+ * @param {Object|null} range - {start, end} dates (YYYY-MM-DD), or null for all time
  * @returns {Object} - Statistics object
  */
-export function calculateStats() {
-    const transactions = state.transactions;
+export function calculateStats(range = null) {
+    const transactions = state.transactions.filter(t => periods.isInRange(t.date, range));
     
     // Total transactions
     const total = transactions.length;
     
-    // Total spent
-    const totalSpent = transactions.reduce((sum, t) => sum + t.amount, 0);
+    // Total income (all totals are converted to the base currency)
+    const totalIncome = transactions
+        .filter(t => getTransactionType(t) === 'income')
+        .reduce((sum, t) => sum + getBaseAmount(t), 0);
+    
+    // Total spent (expenses less refunds)
+    const totalSpent = transactions.reduce((sum, t) => sum + getSpentAmount(t), 0);
     
     // Top category
     const categoryTotals = {};
     transactions.forEach(t => {
-        categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount;
+        if (getTransactionType(t) === 'income') return;
+        getCategorySpending(t).forEach(({ category, amount }) => {
+            categoryTotals[category] = (categoryTotals[category] || 0) + amount;
+        });
     });
     
     let topCategory = '-';
@@ -307,12 +1396,23 @@ export function calculateStats() {
     // Last 7 days
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const last7Days = transactions
+    const last7Days = state.transactions
         .filter(t => new Date(t.date) >= sevenDaysAgo)
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => sum + getSpentAmount(t), 0);
+    
+    // Net cash flow and spending for the current month
+    const currentMonth = budget.getMonthKey();
+    const monthTransactions = state.transactions.filter(t => t.date.startsWith(currentMonth));
+    const netCashFlow = (range ? transactions : monthTransactions).reduce((sum, t) => sum + getSignedAmount(t), 0);
+    const monthSpent = monthTransactions.reduce((sum, t) => sum + getSpentAmount(t), 0);
+    
+    // Running balance
+    const runningBalance = calculateRunningBalance(state.transactions);
+    const balance = runningBalance.length > 0 ? runningBalance[runningBalance.length - 1].balance : 0;
     
     // Category breakdown
     const categoryBreakdown = Object.entries(categoryTotals)
+        .filter(([, amount]) => amount > 0)
         .map(([category, amount]) => ({
             category,
             amount,
@@ -322,10 +1422,15 @@ export function calculateStats() {
     
     return {
         total,
+        totalIncome,
         totalSpent,
+        netCashFlow,
+        monthSpent,
+        balance,
+        runningBalance,
         topCategory,
         last7Days,
-        categoryBreakdown
+        categoryBreakdown,
+        currency: currency.getBaseCurrency(state.settings)
     };
 }
-
@@ -1,22 +1,286 @@
 /**
  * Storage Module
- * Handles localStorage interactions for data persistence
+ * Handles data persistence through a storage adapter (IndexedDB, or localStorage as a fallback)
  */
 
+import { openIndexedDBAdapter } from './indexeddb.js';
+import * as encryption from './encryption.js';
+import * as receipts from './receipts.js';
+import { DEFAULT_RATES } from './currency.js';
+import { SCHEMA_VERSION, createExport } from './schema.js';
+
 const STORAGE_KEYS = {
     TRANSACTIONS: 'financeApp:transactions',
     SETTINGS: 'financeApp:settings',
-    BUDGET_CAP: 'financeApp:budgetCap'
+    BUDGET_CAP: 'financeApp:budgetCap',
+    BUDGETS: 'financeApp:budgets',
+    RECURRING: 'financeApp:recurring',
+    SCHEMA_VERSION: 'financeApp:schemaVersion',
+    LOCK: 'financeApp:lock'
+};
+
+// Keys holding app data (encrypted in lock mode); the lock itself is stored as it is
+const DATA_KEYS = Object.values(STORAGE_KEYS).filter(key => key !== STORAGE_KEYS.LOCK);
+
+// Keys stored one record per id
+const RECORD_KEYS = [STORAGE_KEYS.TRANSACTIONS];
+
+// Section of app data each key holds, as reported to listeners for changes made in other tabs
+const SECTIONS = {
+    [STORAGE_KEYS.TRANSACTIONS]: 'transactions',
+    [STORAGE_KEYS.SETTINGS]: 'settings',
+    [STORAGE_KEYS.BUDGET_CAP]: 'budgetCap',
+    [STORAGE_KEYS.BUDGETS]: 'budgets',
+    [STORAGE_KEYS.RECURRING]: 'recurringRules',
+    [STORAGE_KEYS.LOCK]: 'lock'
+};
+
+// Channel other tabs of the app announce their saves on
+const CHANNEL_NAME = 'financeApp';
+
+/**
+ * localStorage adapter
+ * Every adapter has the same synchronous interface:
+ *   read(key) - Stored value, or null
+ *   write(key, value) - Store a value
+ *   writeRecords(key, records, changed, removedIds) - Store an array of records with ids
+ *   remove(key) - Delete a value
+ *   flush() - Promise that resolves once every write so far is stored
+ *   reload(keys) - Promise that resolves once values changed by another tab have been read again
+ * localStorage can only hold strings, so writeRecords rewrites the whole array; it has no cache to reload
+ */
+const localStorageAdapter = {
+    name: 'localStorage',
+    
+    read(key) {
+        const data = localStorage.getItem(key);
+        return data === null ? null : JSON.parse(data);
+    },
+    
+    write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    },
+    
+    writeRecords(key, records) {
+        localStorage.setItem(key, JSON.stringify(records));
+    },
+    
+    remove(key) {
+        localStorage.removeItem(key);
+    },
+    
+    flush() {
+        return Promise.resolve();
+    },
+    
+    reload() {
+        return Promise.resolve();
+    }
 };
 
+// Adapter data is stored in (localStorage until initStorage has opened IndexedDB)
+let baseAdapter = localStorageAdapter;
+
+// Adapter in use: the base adapter, or an encrypting adapter over it in lock mode
+let adapter = localStorageAdapter;
+
+// Each transaction object as last loaded or saved, used to write only changed records
+let savedTransactions = new Map();
+
+// Channel to other tabs (null where BroadcastChannel is unsupported)
+let channel = null;
+
+// Callbacks for data changed in other tabs
+const remoteListeners = [];
+
+// Callbacks for writes that failed after the change was made
+const saveErrorListeners = [];
+
+// Changes from other tabs are applied one at a time, in the order they were announced
+let remoteQueue = Promise.resolve();
+
+/**
+ * Open IndexedDB storage, moving existing localStorage data into it on first use
+ * Falls back to localStorage when IndexedDB is unavailable (e.g. some private browsing modes)
+ * @returns {Promise<string>} - Name of the storage in use
+ */
+export async function initStorage() {
+    try {
+        baseAdapter = await openIndexedDBAdapter(Object.values(STORAGE_KEYS), RECORD_KEYS, localStorageAdapter, reportSaveError);
+    } catch (error) {
+        console.error('IndexedDB unavailable, using localStorage:', error);
+        baseAdapter = localStorageAdapter;
+    }
+    
+    adapter = baseAdapter;
+    listenToOtherTabs();
+    return adapter.name;
+}
+
+/**
+ * Start listening for saves made by other tabs
+ * Other tabs announce saves on a BroadcastChannel, as IndexedDB has no change events; without
+ * BroadcastChannel, localStorage storage events are used instead
+ */
+function listenToOtherTabs() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => receiveRemoteChange(event.data.keys);
+    } else if (typeof window !== 'undefined' && adapter === localStorageAdapter) {
+        window.addEventListener('storage', (event) => {
+            if (Object.values(STORAGE_KEYS).includes(event.key)) {
+                receiveRemoteChange([event.key]);
+            }
+        });
+    }
+}
+
+/**
+ * Tell other tabs which keys were saved, once the writes are stored
+ * @param {Array} keys - Storage keys written
+ */
+function announce(keys) {
+    if (!channel) return;
+    
+    adapter.flush().then(() => channel.postMessage({ keys }));
+}
+
+/**
+ * Read keys saved by another tab again and tell listeners which sections changed
+ * @param {Array} keys - Storage keys written by the other tab
+ */
+function receiveRemoteChange(keys) {
+    remoteQueue = remoteQueue
+        .then(async () => {
+            await adapter.reload(keys);
+            const sections = keys.map(key => SECTIONS[key]).filter(Boolean);
+            if (sections.length > 0) {
+                remoteListeners.forEach(listener => listener(sections));
+            }
+        })
+        .catch(error => console.error('Error reading changes from another tab:', error));
+}
+
+/**
+ * Add a listener for data saved in another tab
+ * @param {Function} listener - Called with the changed sections (e.g. ['transactions', 'settings'])
+ */
+export function addRemoteListener(listener) {
+    remoteListeners.push(listener);
+}
+
+/**
+ * Add a listener for saves that failed in the background
+ * localStorage saves fail straight away and throw; IndexedDB saves finish later, so their failures come here
+ * @param {Function} listener - Called with the section (e.g. 'transactions') and the error
+ */
+export function addSaveErrorListener(listener) {
+    saveErrorListeners.push(listener);
+}
+
+/**
+ * Tell listeners that a save failed
+ * @param {string} key - Storage key that was being written
+ * @param {Error} error - Error from the database
+ */
+function reportSaveError(key, error) {
+    console.error(`Error saving ${key}:`, error);
+    saveErrorListeners.forEach(listener => listener(SECTIONS[key] || key, error));
+}
+
+/**
+ * Check whether stored data is encrypted with a passphrase (lock mode)
+ * @returns {boolean} - True if lock mode is on
+ */
+export function isLockEnabled() {
+    try {
+        return baseAdapter.read(STORAGE_KEYS.LOCK) !== null;
+    } catch (error) {
+        console.error('Error reading lock:', error);
+        return false;
+    }
+}
+
+/**
+ * Unlock encrypted storage; data must not be loaded before this
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<void>} - Rejects with 'Wrong passphrase' if it does not match
+ */
+export async function unlockStorage(passphrase) {
+    const key = await encryption.openLock(baseAdapter.read(STORAGE_KEYS.LOCK), passphrase);
+    adapter = await encryption.openLockedAdapter(baseAdapter, key, DATA_KEYS, RECORD_KEYS);
+    await receipts.setKey(key);
+}
+
 /**
- * Load transactions from localStorage
+ * Turn on lock mode, encrypting all stored data and receipts with a passphrase
+ * The lock is written first, so an interrupted change still opens with the passphrase
+ * @param {string} passphrase - Passphrase (already validated)
+ * @returns {Promise<void>} - Resolves once every value and receipt has been encrypted
+ */
+export async function enableLock(passphrase) {
+    const { lock, key } = await encryption.createLock(passphrase);
+    baseAdapter.write(STORAGE_KEYS.LOCK, lock);
+    adapter = await encryption.openLockedAdapter(baseAdapter, key, DATA_KEYS, RECORD_KEYS);
+    await adapter.flush();
+    await receipts.changeKey(key);
+    announce([STORAGE_KEYS.LOCK]);
+}
+
+/**
+ * Turn off lock mode, storing all data and receipts unencrypted again
+ * @returns {Promise<void>} - Resolves once the data has been written
+ */
+export async function disableLock() {
+    await adapter.flush();
+    await receipts.changeKey(null);
+    
+    DATA_KEYS.forEach(key => {
+        const value = adapter.read(key);
+        if (value === null) return;
+        
+        if (RECORD_KEYS.includes(key)) {
+            baseAdapter.writeRecords(key, value, value, []);
+        } else {
+            baseAdapter.write(key, value);
+        }
+    });
+    
+    baseAdapter.remove(STORAGE_KEYS.LOCK);
+    adapter = baseAdapter;
+    announce([STORAGE_KEYS.LOCK]);
+}
+
+/**
+ * Delete encrypted data and receipts that can no longer be unlocked (forgotten passphrase)
+ * @returns {Promise<void>} - Resolves once the receipts have been deleted
+ */
+export async function eraseLockedData() {
+    Object.values(STORAGE_KEYS).forEach(key => baseAdapter.remove(key));
+    adapter = baseAdapter;
+    savedTransactions = new Map();
+    announce(Object.values(STORAGE_KEYS));
+    await receipts.clearReceipts();
+}
+
+/**
+ * Remember which object was last saved for each transaction
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Map} - Map of id to transaction object
+ */
+function snapshotTransactions(transactions) {
+    return new Map(transactions.map(t => [t.id, t]));
+}
+
+/**
+ * Load transactions
  * @returns {Array} - Array of transaction objects
  */
 export function loadTransactions() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.TRANSACTIONS);
-        return data ? JSON.parse(data) : [];
+        const transactions = adapter.read(STORAGE_KEYS.TRANSACTIONS) || [];
+        savedTransactions = snapshotTransactions(transactions);
+        return transactions;
     } catch (error) {
         console.error('Error loading transactions:', error);
         return [];
@@ -24,12 +288,20 @@ export function loadTransactions() {
 }
 
 /**
- * Save transactions to localStorage
+ * Save transactions
+ * Only records added, changed or removed since the last save are written (when the adapter supports it).
+ * Records are compared by object, so a changed transaction must be a new object rather than edited in place.
  * @param {Array} transactions - Array of transaction objects
  */
 export function saveTransactions(transactions) {
     try {
-        localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
+        const current = snapshotTransactions(transactions);
+        const changed = transactions.filter(t => savedTransactions.get(t.id) !== t);
+        const removedIds = [...savedTransactions.keys()].filter(id => !current.has(id));
+        
+        adapter.writeRecords(STORAGE_KEYS.TRANSACTIONS, transactions, changed, removedIds);
+        savedTransactions = current;
+        announce([STORAGE_KEYS.TRANSACTIONS]);
     } catch (error) {
         console.error('Error saving transactions:', error);
         throw new Error('Failed to save transactions');
@@ -37,34 +309,32 @@ export function saveTransactions(transactions) {
 }
 
 /**
- * Load settings from localStorage
+ * Load settings
  * @returns {Object} - Settings object
  */
 export function loadSettings() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-        return data ? JSON.parse(data) : {
-            eurRate: 1.09,
-            gbpRate: 1.27,
-            categories: ['Food', 'Books', 'Transport', 'Entertainment', 'Fees', 'Other']
+        return adapter.read(STORAGE_KEYS.SETTINGS) || {
+            ...DEFAULT_RATES,
+            categories: ['Food', 'Books', 'Transport', 'Entertainment', 'Fees', 'Income', 'Other']
         };
     } catch (error) {
         console.error('Error loading settings:', error);
         return {
-            eurRate: 1.09,
-            gbpRate: 1.27,
-            categories: ['Food', 'Books', 'Transport', 'Entertainment', 'Fees', 'Other']
+            ...DEFAULT_RATES,
+            categories: ['Food', 'Books', 'Transport', 'Entertainment', 'Fees', 'Income', 'Other']
         };
     }
 }
 
 /**
- * Save settings to localStorage
+ * Save settings
  * @param {Object} settings - Settings object
  */
 export function saveSettings(settings) {
     try {
-        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+        adapter.write(STORAGE_KEYS.SETTINGS, settings);
+        announce([STORAGE_KEYS.SETTINGS]);
     } catch (error) {
         console.error('Error saving settings:', error);
         throw new Error('Failed to save settings');
@@ -72,12 +342,12 @@ export function saveSettings(settings) {
 }
 
 /**
- * Load budget cap from localStorage
+ * Load budget cap
  * @returns {number|null} - Budget cap amount or null
  */
 export function loadBudgetCap() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.BUDGET_CAP);
+        const data = adapter.read(STORAGE_KEYS.BUDGET_CAP);
         return data ? parseFloat(data) : null;
     } catch (error) {
         console.error('Error loading budget cap:', error);
@@ -86,12 +356,17 @@ export function loadBudgetCap() {
 }
 
 /**
- * Save budget cap to localStorage
- * @param {number} cap - Budget cap amount
+ * Save budget cap
+ * @param {number|null} cap - Budget cap amount (null removes the cap)
  */
 export function saveBudgetCap(cap) {
     try {
-        localStorage.setItem(STORAGE_KEYS.BUDGET_CAP, cap.toString());
+        if (cap === null) {
+            adapter.remove(STORAGE_KEYS.BUDGET_CAP);
+        } else {
+            adapter.write(STORAGE_KEYS.BUDGET_CAP, cap);
+        }
+        announce([STORAGE_KEYS.BUDGET_CAP]);
     } catch (error) {
         console.error('Error saving budget cap:', error);
         throw new Error('Failed to save budget cap');
@@ -99,12 +374,92 @@ export function saveBudgetCap(cap) {
 }
 
 /**
- * Export transactions as JSON
+ * Load category budgets
+ * @returns {Object} - Map of category to {amounts: {YYYY-MM: number}, rollover: boolean}
+ */
+export function loadBudgets() {
+    try {
+        return adapter.read(STORAGE_KEYS.BUDGETS) || {};
+    } catch (error) {
+        console.error('Error loading budgets:', error);
+        return {};
+    }
+}
+
+/**
+ * Save category budgets
+ * @param {Object} budgets - Map of category to budget entry
+ */
+export function saveBudgets(budgets) {
+    try {
+        adapter.write(STORAGE_KEYS.BUDGETS, budgets);
+        announce([STORAGE_KEYS.BUDGETS]);
+    } catch (error) {
+        console.error('Error saving budgets:', error);
+        throw new Error('Failed to save budgets');
+    }
+}
+
+/**
+ * Load recurring rules
+ * @returns {Array} - Array of recurring rule objects
+ */
+export function loadRecurringRules() {
+    try {
+        return adapter.read(STORAGE_KEYS.RECURRING) || [];
+    } catch (error) {
+        console.error('Error loading recurring rules:', error);
+        return [];
+    }
+}
+
+/**
+ * Save recurring rules
+ * @param {Array} rules - Array of recurring rule objects
+ */
+export function saveRecurringRules(rules) {
+    try {
+        adapter.write(STORAGE_KEYS.RECURRING, rules);
+        announce([STORAGE_KEYS.RECURRING]);
+    } catch (error) {
+        console.error('Error saving recurring rules:', error);
+        throw new Error('Failed to save recurring rules');
+    }
+}
+
+/**
+ * Load the schema version the stored data was saved with
+ * @returns {number} - Version (1 for data saved before versions were recorded)
+ */
+export function loadSchemaVersion() {
+    try {
+        return adapter.read(STORAGE_KEYS.SCHEMA_VERSION) || 1;
+    } catch (error) {
+        console.error('Error loading schema version:', error);
+        return 1;
+    }
+}
+
+/**
+ * Save the schema version of the stored data
+ * @param {number} version - Schema version
+ */
+export function saveSchemaVersion(version) {
+    try {
+        adapter.write(STORAGE_KEYS.SCHEMA_VERSION, version);
+    } catch (error) {
+        console.error('Error saving schema version:', error);
+        throw new Error('Failed to save schema version');
+    }
+}
+
+/**
+ * Export transactions as JSON, tagged with the schema version
  * @param {Array} transactions - Array of transaction objects
  * @returns {string} - JSON string
  */
 export function exportToJSON(transactions) {
-    return JSON.stringify(transactions, null, 2);
+    return JSON.stringify(createExport(transactions), null, 2);
 }
 
 /**
@@ -122,12 +477,14 @@ export function importFromJSON(jsonString) {
 }
 
 /**
- * Clear all data from localStorage
+ * Clear all data (the schema version and lock are kept)
  */
 export function clearAllData() {
     try {
-        localStorage.removeItem(STORAGE_KEYS.TRANSACTIONS);
-        localStorage.removeItem(STORAGE_KEYS.BUDGET_CAP);
+        const keys = DATA_KEYS.filter(key => key !== STORAGE_KEYS.SCHEMA_VERSION);
+        keys.forEach(key => adapter.remove(key));
+        savedTransactions = new Map();
+        announce(keys);
     } catch (error) {
         console.error('Error clearing data:', error);
         throw new Error('Failed to clear data');
@@ -0,0 +1,190 @@
+/**
+ * Suggestions Module
+ * Learns categories and descriptions from past transactions to suggest them in the add form
+ * Everything is counted in memory in the browser; nothing leaves the device
+ */
+
+// Words too common to say anything about a category
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'from', 'in', 'of', 'on', 'the', 'to', 'with']);
+
+// Share of the evidence the best category needs before it is suggested
+const MIN_CONFIDENCE = 0.6;
+
+/**
+ * Split a description into lowercase word tokens
+ * @param {string} description - Description
+ * @returns {Array} - Unique tokens
+ */
+export function tokenize(description) {
+    const words = description.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words.filter(word => !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Create an empty model
+ * @returns {Object} - Model: per-category and per-token counts, description counts, and what each record added
+ */
+export function createModel() {
+    return {
+        // What each transaction contributed, by id: {key, tokens, category, description, date}
+        records: new Map(),
+        // Category to number of transactions
+        categories: new Map(),
+        // Token to Map of category to count
+        tokens: new Map(),
+        // Lowercase description to {text, count, lastDate}
+        descriptions: new Map()
+    };
+}
+
+/**
+ * Add or subtract one transaction's counts
+ * @param {Object} model - Model
+ * @param {Object} entry - Record entry {tokens, category, description, date}
+ * @param {number} delta - 1 to add, -1 to remove
+ */
+function count(model, entry, delta) {
+    const bump = (map, key, by) => {
+        const next = (map.get(key) || 0) + by;
+        if (next > 0) {
+            map.set(key, next);
+        } else {
+            map.delete(key);
+        }
+    };
+    
+    if (entry.category) {
+        bump(model.categories, entry.category, delta);
+        entry.tokens.forEach(token => {
+            const byCategory = model.tokens.get(token) || new Map();
+            bump(byCategory, entry.category, delta);
+            if (byCategory.size > 0) {
+                model.tokens.set(token, byCategory);
+            } else {
+                model.tokens.delete(token);
+            }
+        });
+    }
+    
+    const key = entry.description.toLowerCase();
+    const seen = model.descriptions.get(key);
+    if (delta > 0) {
+        model.descriptions.set(key, {
+            text: seen ? seen.text : entry.description,
+            count: (seen ? seen.count : 0) + 1,
+            lastDate: seen && seen.lastDate > entry.date ? seen.lastDate : entry.date
+        });
+    } else if (seen && seen.count > 1) {
+        // The latest date cannot be recovered without a rescan, so it is kept
+        model.descriptions.set(key, { ...seen, count: seen.count - 1 });
+    } else {
+        model.descriptions.delete(key);
+    }
+}
+
+/**
+ * Bring the model up to date with the current transactions
+ * Only records that were added, edited or deleted since the last update are counted again
+ * @param {Object} model - Model from createModel
+ * @param {Array} transactions - Array of transactions
+ * @returns {number} - Number of records counted or uncounted
+ */
+export function updateModel(model, transactions) {
+    let changes = 0;
+    const current = new Set();
+    
+    transactions.forEach(transaction => {
+        // Split transactions only teach descriptions, as they have no single category
+        const category = transaction.splits ? null : transaction.category;
+        const key = `${transaction.description}\u0000${category}\u0000${transaction.date}`;
+        const existing = model.records.get(transaction.id);
+        current.add(transaction.id);
+        
+        if (existing && existing.key === key) return;
+        
+        if (existing) {
+            count(model, existing, -1);
+        }
+        const entry = { key, tokens: tokenize(transaction.description), category, description: transaction.description, date: transaction.date };
+        model.records.set(transaction.id, entry);
+        count(model, entry, 1);
+        changes++;
+    });
+    
+    model.records.forEach((entry, id) => {
+        if (!current.has(id)) {
+            count(model, entry, -1);
+            model.records.delete(id);
+            changes++;
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Suggest a category for a description
+ * Scores each category with naive Bayes over the description's known words (add-one smoothing),
+ * and only suggests one that clearly beats the rest
+ * @param {Object} model - Model
+ * @param {string} description - Description typed so far
+ * @param {Array} allowed - Categories that may be suggested (e.g. active categories)
+ * @returns {Object|null} - {category, confidence} or null if there is no clear suggestion
+ */
+export function suggestCategory(model, description, allowed) {
+    const known = tokenize(description).filter(token => model.tokens.has(token));
+    if (known.length === 0) {
+        return null;
+    }
+    
+    const total = [...model.categories.values()].reduce((sum, n) => sum + n, 0);
+    const vocabulary = model.tokens.size;
+    const scores = allowed
+        .filter(category => model.categories.has(category))
+        .map(category => {
+            const seen = model.categories.get(category);
+            const logScore = known.reduce(
+                (sum, token) => sum + Math.log(((model.tokens.get(token).get(category) || 0) + 1) / (seen + vocabulary)),
+                Math.log(seen / total)
+            );
+            return { category, logScore };
+        });
+    
+    if (scores.length === 0) {
+        return null;
+    }
+    
+    // Turn log scores into shares of the total, shifting by the best score to avoid underflow
+    const best = Math.max(...scores.map(score => score.logScore));
+    const weights = scores.map(score => ({ category: score.category, weight: Math.exp(score.logScore - best) }));
+    const sum = weights.reduce((acc, item) => acc + item.weight, 0);
+    const top = weights.reduce((a, b) => (b.weight > a.weight ? b : a));
+    const confidence = top.weight / sum;
+    
+    return confidence >= MIN_CONFIDENCE ? { category: top.category, confidence } : null;
+}
+
+/**
+ * Suggest past descriptions that complete what has been typed
+ * Descriptions starting with the text come first, then those with a word starting with it;
+ * each group is ordered by how often it was used, then how recently
+ * @param {Object} model - Model
+ * @param {string} text - Text typed so far
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array} - Description strings
+ */
+export function suggestDescriptions(model, text, limit = 5) {
+    const typed = text.trim().toLowerCase();
+    if (typed.length < 2) {
+        return [];
+    }
+    
+    const rank = key => (key.startsWith(typed) ? 0 : key.split(/\s+/).some(word => word.startsWith(typed)) ? 1 : -1);
+    
+    return [...model.descriptions.entries()]
+        .map(([key, item]) => ({ ...item, rank: rank(key) }))
+        .filter(item => item.rank >= 0 && item.text.toLowerCase() !== typed)
+        .sort((a, b) => a.rank - b.rank || b.count - a.count || b.lastDate.localeCompare(a.lastDate))
+        .slice(0, limit)
+        .map(item => item.text);
+}
@@ -0,0 +1,37 @@
+/**
+ * Tags Module
+ * Free-form tags (e.g. #trip, #groupproject) that can be added to any transaction
+ */
+
+/**
+ * Parse tags typed in the form or a query
+ * Tags are separated by spaces or commas; a leading # is optional, case is ignored and repeats are dropped
+ * @param {string|Array} value - Typed tags or a list of tags
+ * @returns {Array} - Tag names without the #
+ */
+export function parseTags(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const tags = parts
+        .map(part => String(part).trim().replace(/^#+/, '').toLowerCase())
+        .filter(Boolean);
+    
+    return [...new Set(tags)];
+}
+
+/**
+ * Format tags for display or for editing in the form
+ * @param {Array} tags - Tag names
+ * @returns {string} - Tags with a # each, separated by spaces
+ */
+export function formatTags(tags) {
+    return (tags || []).map(tag => `#${tag}`).join(' ');
+}
+
+/**
+ * Get a transaction's tags
+ * @param {Object} transaction - Transaction or recurring rule
+ * @returns {Array} - Tag names (empty when it has none)
+ */
+export function getTags(transaction) {
+    return transaction.tags || [];
+}
@@ -0,0 +1,38 @@
+/**
+ * Terms Module
+ * Academic terms (e.g. "Fall 2025") and which term a transaction belongs to
+ */
+
+import { calculateStats } from './state.js';
+
+/**
+ * Get terms from settings in date order
+ * @param {Object} settings - Settings object
+ * @returns {Array} - Array of {id, name, start, end}
+ */
+export function getTerms(settings) {
+    return [...(settings.terms || [])].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Get the term a date falls in
+ * Terms cannot overlap, so a transaction belongs to at most one term
+ * @param {Array} terms - Array of terms
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} - Term or null if the date is outside every term
+ */
+export function getTermForDate(terms, date) {
+    return terms.find(term => date >= term.start && date <= term.end) || null;
+}
+
+/**
+ * Summarise every term using the dashboard statistics for its dates
+ * @param {Array} terms - Array of terms
+ * @returns {Array} - Array of {term, stats}
+ */
+export function calculateTermSummaries(terms) {
+    return terms.map(term => ({
+        term,
+        stats: calculateStats({ start: term.start, end: term.end })
+    }));
+}
@@ -0,0 +1,127 @@
+/**
+ * Trends Module
+ * Groups spending into days, weeks or months for the trends chart
+ */
+
+import { getCategorySpending } from './state.js';
+import { addDays } from './recurring.js';
+
+// Supported chart intervals
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+// Most bars the chart will draw; longer ranges need a coarser interval
+export const MAX_BUCKETS = 120;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the first day of the period a date falls in
+ * Weeks start on Monday
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} - Period start date (YYYY-MM-DD)
+ */
+export function getBucketStart(date, granularity) {
+    if (granularity === 'month') {
+        return `${date.slice(0, 7)}-01`;
+    }
+    
+    if (granularity === 'week') {
+        const [year, month, day] = date.split('-').map(Number);
+        const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+        return addDays(date, -weekday);
+    }
+    
+    return date;
+}
+
+/**
+ * Get the start of the period after the given one
+ * @param {string} start - Period start date (YYYY-MM-DD)
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} - Next period start date (YYYY-MM-DD)
+ */
+function getNextBucket(start, granularity) {
+    if (granularity === 'day') {
+        return addDays(start, 1);
+    }
+    
+    if (granularity === 'week') {
+        return addDays(start, 7);
+    }
+    
+    const [year, month] = start.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * Format a period for axis labels and the data table
+ * @param {string} start - Period start date (YYYY-MM-DD)
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} - Label (e.g. "25 Sep", "Week of 22 Sep", "Sep 2025")
+ */
+export function formatBucketLabel(start, granularity) {
+    const [year, month, day] = start.split('-').map(Number);
+    const monthName = MONTH_NAMES[month - 1];
+    
+    if (granularity === 'month') {
+        return `${monthName} ${year}`;
+    }
+    
+    return granularity === 'week' ? `Week of ${day} ${monthName}` : `${day} ${monthName}`;
+}
+
+/**
+ * List the periods covering a date range
+ * Stops one past MAX_BUCKETS so callers can tell the range is too long
+ * @param {string} start - Range start (YYYY-MM-DD)
+ * @param {string} end - Range end (YYYY-MM-DD)
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Array} - Period start dates
+ */
+export function getBuckets(start, end, granularity) {
+    const buckets = [];
+    
+    for (let key = getBucketStart(start, granularity); key <= end; key = getNextBucket(key, granularity)) {
+        buckets.push(key);
+        if (buckets.length > MAX_BUCKETS) break;
+    }
+    
+    return buckets;
+}
+
+/**
+ * Calculate spending per period over a date range
+ * Spending is expenses less refunds in the base currency; split transactions count towards each category
+ * @param {Array} transactions - Array of transactions
+ * @param {string} start - Range start (YYYY-MM-DD)
+ * @param {string} end - Range end (YYYY-MM-DD)
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Object} - {buckets: [{key, label, total, categories}], categories: Array}
+ */
+export function calculateTrends(transactions, start, end, granularity) {
+    const buckets = getBuckets(start, end, granularity).map(key => ({
+        key,
+        label: formatBucketLabel(key, granularity),
+        total: 0,
+        categories: {}
+    }));
+    const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+    
+    transactions
+        .filter(t => t.date >= start && t.date <= end)
+        .forEach(t => {
+            const bucket = byKey.get(getBucketStart(t.date, granularity));
+            if (!bucket) return;
+            
+            getCategorySpending(t).forEach(({ category, amount }) => {
+                if (amount === 0) return;
+                bucket.total += amount;
+                bucket.categories[category] = (bucket.categories[category] || 0) + amount;
+            });
+        });
+    
+    const categories = [...new Set(buckets.flatMap(bucket => Object.keys(bucket.categories)))].sort();
+    
+    return { buckets, categories };
+}
@@ -4,8 +4,150 @@
  */
 
 import * as state from './state.js';
+import * as storage from './storage.js';
 import * as search from './search.js';
 import * as validators from './validators.js';
+import * as budget from './budget.js';
+import * as recurring from './recurring.js';
+import * as currency from './currency.js';
+import * as csv from './csv.js';
+import * as categories from './categories.js';
+import * as trends from './trends.js';
+import * as periods from './periods.js';
+import * as terms from './terms.js';
+import * as rules from './rules.js';
+import * as suggestions from './suggestions.js';
+import * as tags from './tags.js';
+import * as receipts from './receipts.js';
+import * as batch from './batch.js';
+import * as schema from './schema.js';
+import * as backup from './backup.js';
+import * as encryption from './encryption.js';
+
+// Import waiting for the user to resolve duplicates: {records, conflicts}
+let pendingMerge = null;
+
+// Validated backup waiting for the user to confirm the restore, and the receipt files that came with it
+let pendingRestore = null;
+let pendingRestoreReceipts = [];
+
+// Recategorisations from the category rules waiting for the user to confirm: array of {id, category}
+let pendingRuleChanges = null;
+
+// Transactions ticked in the records list (only ever those the current search lists), and the IDs listed
+const selectedIds = new Set();
+let listedIds = [];
+
+// Batch change waiting for the user to confirm: {action, ids} for deletes, {action, changes} otherwise,
+// with previewed (map of each selected transaction's id to its JSON when the preview was made)
+let pendingBatch = null;
+
+// Timer that hides the undo toast
+let toastTimer = null;
+
+// Object URL of the receipt open in the viewer
+let receiptUrl = null;
+
+// Categories and descriptions learned from past transactions, kept up to date on every state change
+const suggestionModel = suggestions.createModel();
+
+// Names of backup sections in restore messages
+const BACKUP_SECTIONS = {
+    transactions: 'Transactions',
+    settings: 'Settings',
+    budgets: 'Budgets',
+    recurringRules: 'Recurring rules'
+};
+
+// Names of storage sections in save error messages
+const SAVE_SECTIONS = {
+    transactions: 'transactions',
+    settings: 'settings',
+    budgetCap: 'the budget cap',
+    budgets: 'budgets',
+    recurringRules: 'recurring rules',
+    lock: 'lock mode'
+};
+
+/**
+ * Show the lock screen until storage is unlocked or the locked data is erased
+ * @returns {Promise<void>} - Resolves once data can be loaded
+ */
+export function showLockScreen() {
+    const screen = document.getElementById('lock-screen');
+    const form = document.getElementById('unlock-form');
+    const input = document.getElementById('unlock-passphrase');
+    const unlockBtn = document.getElementById('unlock-btn');
+    const page = document.querySelectorAll('header, main, footer');
+    
+    screen.classList.remove('hidden');
+    page.forEach(element => element.inert = true);
+    input.focus();
+    
+    return new Promise(resolve => {
+        const close = () => {
+            screen.classList.add('hidden');
+            page.forEach(element => element.inert = false);
+            input.value = '';
+            resolve();
+        };
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            clearFieldError('unlock-passphrase');
+            
+            if (!input.value) {
+                showFieldError('unlock-passphrase', 'Passphrase is required');
+                input.focus();
+                return;
+            }
+            
+            unlockBtn.disabled = true;
+            unlockBtn.textContent = 'Unlocking...';
+            try {
+                await storage.unlockStorage(input.value);
+                close();
+            } catch (error) {
+                showFieldError('unlock-passphrase', error.message);
+                input.select();
+            } finally {
+                unlockBtn.disabled = false;
+                unlockBtn.textContent = 'Unlock';
+            }
+        });
+        
+        document.getElementById('erase-locked-btn').addEventListener('click', async () => {
+            if (confirm('Without the passphrase your data cannot be decrypted. Permanently delete all locked data and start again?')) {
+                try {
+                    await storage.eraseLockedData();
+                } catch (error) {
+                    console.error('Error deleting locked receipts:', error);
+                }
+                close();
+            }
+        });
+    });
+}
+
+/**
+ * Offer to reload into a new version of the app
+ * @param {Function} apply - Switches to the new version (the page then reloads)
+ */
+export function showUpdatePrompt(apply) {
+    const banner = document.getElementById('update-banner');
+    const reloadBtn = document.getElementById('update-reload-btn');
+    
+    banner.classList.remove('hidden');
+    document.getElementById('update-message').textContent = 'A new version is available.';
+    
+    reloadBtn.onclick = () => {
+        reloadBtn.disabled = true;
+        apply();
+    };
+    document.getElementById('update-dismiss-btn').onclick = () => {
+        banner.classList.add('hidden');
+    };
+}
 
 /**
  * Initialize UI event listeners
@@ -26,13 +168,31 @@ export function initUI() {
     // Settings
     initSettings();
     
+    // Undo/redo
+    initHistory();
+    
     // Listen to state changes
     state.addListener(handleStateChange);
     
+    // Saves to IndexedDB finish after the change is shown, so say so if one fails
+    storage.addSaveErrorListener(showSaveError);
+    
     // Initial render
     handleStateChange(state.getState());
 }
 
+/**
+ * Tell the user that a change was not saved
+ * @param {string} section - Section that failed to save
+ * @param {Error} error - Error from storage
+ */
+function showSaveError(section, error) {
+    const reason = error && error.name === 'QuotaExceededError'
+        ? 'The browser is out of storage space.'
+        : 'It will be lost when the page is closed.';
+    showToast(`Your latest change to ${SAVE_SECTIONS[section] || 'your data'} could not be saved. ${reason}`);
+}
+
 /**
  * Initialize navigation
  */
@@ -75,6 +235,16 @@ function initDashboard() {
     const setCapBtn = document.getElementById('set-cap-btn');
     const budgetCapInput = document.getElementById('budget-cap');
     
+    // Statistics period
+    const periodSelect = document.getElementById('stats-period');
+    periodSelect.addEventListener('change', () => {
+        document.getElementById('custom-period').classList.toggle('hidden', periodSelect.value !== 'custom');
+        renderDashboard(state.getState());
+    });
+    ['stats-start', 'stats-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => renderDashboard(state.getState()));
+    });
+    
     setCapBtn.addEventListener('click', () => {
         const cap = parseFloat(budgetCapInput.value);
         if (!isNaN(cap) && cap > 0) {
@@ -84,6 +254,45 @@ function initDashboard() {
             showStatus('cap-status', 'Please enter a valid amount', 'error', 'assertive');
         }
     });
+    
+    // Category budgets
+    const budgetMonthInput = document.getElementById('budget-month');
+    const budgetCategorySelect = document.getElementById('budget-category');
+    const budgetAmountInput = document.getElementById('budget-amount');
+    const budgetRolloverCheckbox = document.getElementById('budget-rollover');
+    const setBudgetBtn = document.getElementById('set-budget-btn');
+    
+    budgetMonthInput.value = budget.getMonthKey();
+    budgetMonthInput.addEventListener('change', () => renderBudgetTable(state.getState()));
+    
+    setBudgetBtn.addEventListener('click', () => {
+        const amount = parseFloat(budgetAmountInput.value);
+        const month = budgetMonthInput.value;
+        const category = budgetCategorySelect.value;
+        
+        if (!category || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            showStatus('budget-status', 'Please choose a category and month', 'error', 'assertive');
+            return;
+        }
+        
+        if (isNaN(amount) || amount <= 0) {
+            showStatus('budget-status', 'Please enter a valid amount', 'error', 'assertive');
+            return;
+        }
+        
+        state.setCategoryBudget(category, month, amount, budgetRolloverCheckbox.checked);
+        budgetAmountInput.value = '';
+        showStatus('budget-status', `${category} budget set from ${month}`, 'success', 'polite');
+    });
+    
+    // Trends chart (defaults to the last 12 weeks)
+    const today = recurring.getToday();
+    document.getElementById('trend-end').value = today;
+    document.getElementById('trend-start').value = recurring.addDays(trends.getBucketStart(today, 'week'), -77);
+    
+    ['trend-granularity', 'trend-start', 'trend-end', 'trend-by-category'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => renderTrends(state.getState()));
+    });
 }
 
 /**
@@ -96,28 +305,21 @@ function initRecords() {
     const searchError = document.getElementById('search-error');
     
     const handleSearch = () => {
-        const pattern = searchInput.value;
+        const input = searchInput.value.trim();
         const flags = caseInsensitiveCheckbox.checked ? 'gi' : 'g';
         
-        if (!pattern) {
+        if (!input) {
             state.setSearch(null);
             searchError.textContent = '';
             return;
         }
         
-        const validation = search.validatePattern(pattern);
-        if (!validation.valid) {
-            searchError.textContent = search.getSearchError(pattern);
-            state.setSearch(null);
-            return;
-        }
-        
-        const regex = search.compileRegex(pattern, flags);
-        if (regex) {
-            state.setSearch(regex);
+        const result = search.parseQuery(input, flags, terms.getTerms(state.getSettings()));
+        if (result.valid) {
+            state.setSearch(result.query);
             searchError.textContent = '';
         } else {
-            searchError.textContent = search.getSearchError(pattern);
+            searchError.textContent = result.message;
             state.setSearch(null);
         }
     };
@@ -133,12 +335,256 @@ function initRecords() {
             const currentSort = state.getState().currentSort;
             const ascending = currentSort.field === field ? !currentSort.ascending : true;
             state.setSort(field, ascending);
-            
-            // Update button text
-            const arrow = ascending ? '↑' : '↓';
-            btn.textContent = `${field.charAt(0).toUpperCase() + field.slice(1)} ${arrow}`;
         });
     });
+    
+    // Saved views
+    document.getElementById('save-view-btn').addEventListener('click', () => {
+        const nameInput = document.getElementById('view-name');
+        const name = nameInput.value.trim();
+        
+        if (!name) {
+            showStatus('view-status', 'Enter a name for the view', 'error', 'assertive');
+            nameInput.focus();
+            return;
+        }
+        
+        if (searchError.textContent) {
+            showStatus('view-status', 'Fix the search before saving it as a view', 'error', 'assertive');
+            return;
+        }
+        
+        state.addSavedView({
+            name,
+            query: searchInput.value.trim(),
+            caseInsensitive: caseInsensitiveCheckbox.checked,
+            sort: state.getState().currentSort
+        });
+        nameInput.value = '';
+        showStatus('view-status', `View "${name}" saved`, 'success', 'polite');
+    });
+    
+    // Receipt viewer (the file's object URL is released when it closes)
+    const viewer = document.getElementById('receipt-viewer');
+    document.getElementById('receipt-close-btn').addEventListener('click', () => viewer.close());
+    viewer.addEventListener('close', () => {
+        document.getElementById('receipt-viewer-body').innerHTML = '';
+        URL.revokeObjectURL(receiptUrl);
+        receiptUrl = null;
+    });
+    
+    // Selection and batch actions
+    initBatchActions();
+}
+
+/**
+ * Initialize select-all and the batch actions for ticked transactions
+ */
+function initBatchActions() {
+    const actionSelect = document.getElementById('batch-action');
+    const daysInput = document.getElementById('batch-days');
+    const panel = document.getElementById('batch-preview');
+    
+    document.getElementById('select-all-records').addEventListener('change', (e) => {
+        selectedIds.clear();
+        if (e.target.checked) {
+            listedIds.forEach(id => selectedIds.add(id));
+        }
+        cancelBatch();
+        renderRecords(state.getState());
+    });
+    
+    document.getElementById('batch-clear-btn').addEventListener('click', () => {
+        selectedIds.clear();
+        cancelBatch();
+        renderRecords(state.getState());
+    });
+    
+    actionSelect.addEventListener('change', () => {
+        const action = actionSelect.value;
+        document.getElementById('batch-category-group').classList.toggle('hidden', action !== 'category');
+        document.getElementById('batch-days-group').classList.toggle('hidden', action !== 'shift');
+        document.getElementById('batch-review-btn').textContent = action === 'export' ? 'Export' : 'Review Changes';
+        clearFieldError('batch-days');
+        cancelBatch();
+    });
+    
+    daysInput.addEventListener('input', () => {
+        clearFieldError('batch-days');
+        cancelBatch();
+    });
+    document.getElementById('batch-category').addEventListener('change', cancelBatch);
+    
+    document.getElementById('batch-review-btn').addEventListener('click', async () => {
+        // Listed order, so the preview reads like the table
+        const selected = state.getSortedTransactions().filter(t => selectedIds.has(t.id));
+        if (selected.length === 0) return;
+        
+        const count = `${selected.length} transaction${selected.length === 1 ? '' : 's'}`;
+        const previewed = new Map(selected.map(t => [t.id, JSON.stringify(t)]));
+        switch (actionSelect.value) {
+            case 'export':
+                // Exports are encrypted when that is turned on in Settings, which is where the passphrase is entered
+                if (await saveExport(schema.createExport(selected), 'transactions_selected')) {
+                    showStatus('batch-status', `${count} exported`, 'success', 'polite');
+                } else {
+                    showStatus('batch-status', 'Enter the export passphrase in Settings, or turn off encryption there, to export', 'error', 'assertive');
+                }
+                return;
+            case 'delete':
+                pendingBatch = { action: 'delete', ids: selected.map(t => t.id), previewed };
+                renderBatchPreview(`${count} will be deleted`, selected.map(transaction => ({ transaction, change: 'Deleted' })));
+                break;
+            case 'category': {
+                const category = document.getElementById('batch-category').value;
+                const { changes, skipped } = batch.previewRecategorize(selected, category);
+                pendingBatch = { action: 'category', changes: changes.map(({ transaction, to }) => ({ id: transaction.id, category: to })), previewed };
+                renderBatchPreview(
+                    `${changes.length} of ${count} will move to ${category}`,
+                    changes.map(({ transaction, from, to }) => ({ transaction, change: `${from} → ${to}` })),
+                    skipped
+                );
+                break;
+            }
+            case 'shift': {
+                const result = validators.validateDateShift(daysInput.value);
+                if (!result.valid) {
+                    showFieldError('batch-days', result.message);
+                    daysInput.focus();
+                    return;
+                }
+                
+                const days = parseInt(daysInput.value, 10);
+                const { changes, skipped } = batch.previewDateShift(selected, days);
+                pendingBatch = { action: 'shift', changes: changes.map(({ transaction, to }) => ({ id: transaction.id, date: to })), previewed };
+                renderBatchPreview(
+                    `${changes.length} of ${count} will move ${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days > 0 ? 'later' : 'earlier'}`,
+                    changes.map(({ transaction, from, to }) => ({ transaction, change: `${from} → ${to}` })),
+                    skipped
+                );
+                break;
+            }
+        }
+        
+        panel.classList.remove('hidden');
+        const applyBtn = document.getElementById('batch-apply-btn');
+        applyBtn.textContent = pendingBatch.action === 'delete' ? 'Delete Transactions' : 'Apply Changes';
+        applyBtn.disabled = (pendingBatch.ids || pendingBatch.changes).length === 0;
+        (applyBtn.disabled ? document.getElementById('batch-cancel-btn') : applyBtn).focus();
+    });
+    
+    document.getElementById('batch-apply-btn').addEventListener('click', () => {
+        if (!pendingBatch) return;
+        
+        // Dropped before applying, so the records changing does not read as a stale preview
+        const { action, ids, changes } = pendingBatch;
+        cancelBatch();
+        let changed;
+        let message;
+        if (action === 'delete') {
+            changed = state.deleteTransactions(ids);
+            message = `${changed} transaction${changed === 1 ? '' : 's'} deleted`;
+        } else {
+            changed = state.updateTransactions(changes, action === 'category' ? 'Change category' : 'Shift dates');
+            message = `${changed} transaction${changed === 1 ? '' : 's'} ${action === 'category' ? 'recategorised' : 'moved'}`;
+        }
+        
+        selectedIds.clear();
+        renderRecords(state.getState());
+        showStatus('batch-status', message, 'success', 'polite');
+        if (changed > 0) {
+            showToast(message, true);
+        }
+    });
+    
+    document.getElementById('batch-cancel-btn').addEventListener('click', () => {
+        cancelBatch();
+        showStatus('batch-status', 'No transactions were changed', 'success', 'polite');
+    });
+}
+
+/**
+ * Show the confirmation listing what a batch action will change
+ * @param {string} summary - Summary of the change
+ * @param {Array} rows - Array of {transaction, change} for transactions that will change
+ * @param {Array} skipped - Array of {transaction, reason} for selected transactions left alone
+ */
+function renderBatchPreview(summary, rows, skipped = []) {
+    document.getElementById('batch-preview-summary').textContent =
+        skipped.length > 0 ? `${summary}; ${skipped.length} will be left alone` : summary;
+    document.getElementById('batch-preview-tbody').innerHTML = [
+        ...rows,
+        ...skipped.map(({ transaction, reason }) => ({ transaction, change: `Unchanged: ${reason}`, unchanged: true }))
+    ].map(({ transaction, change, unchanged }) => `
+        <tr${unchanged ? ' class="batch-unchanged"' : ''}>
+            <td>${transaction.date}</td>
+            <td>${search.highlight(transaction.description, null)}</td>
+            <td>${renderAmount(transaction, null)}</td>
+            <td>${search.highlight(change, null)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Check that every transaction a batch preview was made from is still listed and unchanged
+ * A search change, an undo or a change from another tab makes the preview out of date
+ * @param {Set} listed - IDs of the transactions now listed
+ * @returns {boolean} - True if the preview can still be applied
+ */
+function isBatchCurrent(listed) {
+    return [...pendingBatch.previewed].every(([id, json]) => {
+        const transaction = state.getTransaction(id);
+        return listed.has(id) && transaction !== null && JSON.stringify(transaction) === json;
+    });
+}
+
+/**
+ * Drop a batch change that has not been confirmed, e.g. because the selection changed
+ */
+function cancelBatch() {
+    pendingBatch = null;
+    document.getElementById('batch-preview').classList.add('hidden');
+}
+
+/**
+ * Open a transaction's receipt in the viewer
+ * @param {Object} transaction - Transaction with a receipt
+ */
+async function openReceipt(transaction) {
+    const file = receipts.isAvailable() ? await receipts.getReceiptFile(transaction.receiptId) : null;
+    if (!file) {
+        showToast('This receipt is not stored in this browser');
+        return;
+    }
+    
+    // A second click while the file was loading finds the viewer already open
+    const viewer = document.getElementById('receipt-viewer');
+    if (viewer.open) return;
+    
+    const receipt = receipts.getReceipt(transaction.receiptId);
+    const name = receipt ? receipt.name : `Receipt for ${transaction.description}`;
+    receiptUrl = URL.createObjectURL(file);
+    document.getElementById('receipt-viewer-heading').textContent = name;
+    document.getElementById('receipt-viewer-body').innerHTML = file.type === 'application/pdf'
+        ? `<iframe src="${receiptUrl}" title="${search.escapeAttribute(name)}"></iframe>`
+        : `<img src="${receiptUrl}" alt="Receipt for ${search.escapeAttribute(transaction.description)}">`;
+    
+    const downloadLink = document.getElementById('receipt-download-link');
+    downloadLink.href = receiptUrl;
+    downloadLink.download = name;
+    viewer.showModal();
+}
+
+/**
+ * Update sort button labels to show the active sort
+ * @param {Object} currentSort - {field, ascending}
+ */
+function updateSortButtons(currentSort) {
+    document.querySelectorAll('.sort-btn').forEach(btn => {
+        const field = btn.dataset.sort;
+        const arrow = field === currentSort.field ? (currentSort.ascending ? '↑' : '↓') : '↕';
+        btn.textContent = `${field.charAt(0).toUpperCase() + field.slice(1)} ${arrow}`;
+    });
 }
 
 /**
@@ -154,23 +600,122 @@ function initForm() {
     const amountInput = document.getElementById('amount');
     const dateInput = document.getElementById('date');
     const categorySelect = document.getElementById('category');
+    const typeSelect = document.getElementById('type');
+    const frequencySelect = document.getElementById('frequency');
+    const untilInput = document.getElementById('until');
+    const currencySelect = document.getElementById('currency');
+    const tagsInput = document.getElementById('tags');
+    const notesInput = document.getElementById('notes');
+    const receiptInput = document.getElementById('receipt');
+    
+    renderCurrencyOptions();
     
     descInput.addEventListener('blur', () => validateField('description', descInput.value));
+    
+    // Category rules, then past transactions, pick the category from the description until one is
+    // chosen by hand; past descriptions are offered as completions
+    const categoryHint = document.getElementById('category-hint');
+    const descriptionList = document.getElementById('description-suggestions');
+    let categoryChosen = false;
+    categorySelect.addEventListener('change', () => {
+        categoryChosen = true;
+        categoryHint.textContent = '';
+    });
+    form.addEventListener('reset', () => {
+        categoryChosen = false;
+        categoryHint.textContent = '';
+        renderCurrentReceipt(null);
+    });
+    descInput.addEventListener('input', () => {
+        descriptionList.innerHTML = suggestions.suggestDescriptions(suggestionModel, descInput.value)
+            .map(text => `<option value="${search.escapeAttribute(text)}"></option>`)
+            .join('');
+        
+        if (categoryChosen || state.getEditingId() || state.getEditingRuleId() || getSplitLines().length > 0) return;
+        
+        const description = descInput.value.trim();
+        const offered = [...categorySelect.options].map(option => option.value).filter(Boolean);
+        const ruleCategory = rules.findCategory(state.getCategoryRules(), description);
+        const suggestion = ruleCategory ? null : suggestions.suggestCategory(suggestionModel, description, offered);
+        
+        if (ruleCategory && offered.includes(ruleCategory)) {
+            categorySelect.value = ruleCategory;
+            categoryHint.textContent = `${ruleCategory} chosen by a category rule`;
+        } else if (suggestion) {
+            categorySelect.value = suggestion.category;
+            categoryHint.textContent = `${suggestion.category} suggested from similar past transactions`;
+        } else if (categoryHint.textContent) {
+            categorySelect.value = '';
+            categoryHint.textContent = '';
+        }
+    });
     amountInput.addEventListener('blur', () => validateField('amount', amountInput.value));
     dateInput.addEventListener('blur', () => validateField('date', dateInput.value));
+    tagsInput.addEventListener('blur', () => validateField('tags', tagsInput.value));
+    notesInput.addEventListener('blur', () => validateField('notes', notesInput.value));
+    receiptInput.addEventListener('change', () => validateField('receipt', receiptInput.files[0] || null));
+    
+    // Receipts need IndexedDB; without it the field is not offered
+    document.getElementById('receipt-group').classList.toggle('hidden', !receipts.isAvailable());
+    
+    // Split lines (a new split starts with two lines, the first in the chosen category)
+    document.getElementById('add-split-btn').addEventListener('click', () => {
+        const lines = getSplitLines();
+        if (lines.length === 0) {
+            renderSplitLines([{ category: categorySelect.value, amount: amountInput.value }, { category: '', amount: '' }]);
+        } else {
+            renderSplitLines([...lines, { category: '', amount: '' }]);
+        }
+        document.querySelector('#split-lines .split-line:last-child select').focus();
+    });
+    
+    document.getElementById('split-lines').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.split-remove');
+        if (!removeBtn) return;
+        
+        const lines = getSplitLines().filter((line, i) => i !== Number(removeBtn.dataset.index));
+        if (lines.length < 2) {
+            // A single line is no longer a split; keep its category as the main category
+            categorySelect.value = lines.length === 1 ? lines[0].category : categorySelect.value;
+            renderSplitLines([]);
+            document.getElementById('add-split-btn').focus();
+        } else {
+            renderSplitLines(lines);
+        }
+    });
+    
+    document.getElementById('split-lines').addEventListener('input', updateSplitRemaining);
+    amountInput.addEventListener('input', updateSplitRemaining);
     
     // Form submission
-    form.addEventListener('submit', (e) => {
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const data = {
             description: descInput.value,
             amount: amountInput.value,
+            currency: currencySelect.value,
+            type: typeSelect.value,
             category: categorySelect.value,
-            date: dateInput.value
+            splits: getSplitLines(),
+            date: dateInput.value,
+            tags: tags.parseTags(tagsInput.value),
+            notes: notesInput.value,
+            receipt: receiptInput.files[0] || null,
+            frequency: frequencySelect.value,
+            until: untilInput.value
         };
         
-        const validation = validators.validateTransaction(data);
+        // The first split line gives the main category
+        if (data.splits.length > 0) {
+            data.category = data.splits[0].category;
+        }
+        
+        const editRuleId = state.getEditingRuleId();
+        const isRecurring = Boolean(editRuleId || data.frequency);
+        const validation = isRecurring
+            ? validators.validateRecurringRule(data)
+            : validators.validateTransaction(data);
         
         if (!validation.valid) {
             // Show errors
@@ -185,11 +730,36 @@ function initForm() {
         clearAllFieldErrors();
         
         const editId = state.getEditingId();
-        if (editId) {
-            // Update existing transaction
-            state.updateTransaction(editId, data);
+        
+        // Store a newly chosen receipt first, so a transaction never points at a file that was not saved
+        if (!isRecurring) {
+            try {
+                data.receiptId = await getFormReceiptId(data.receipt, editId);
+            } catch (error) {
+                console.error('Error saving receipt:', error);
+                showFieldError('receipt', 'The receipt could not be saved. The browser may be out of storage space.');
+                showStatus('form-status', 'Please fix the errors above', 'error', 'assertive');
+                return;
+            }
+        }
+        
+        if (editRuleId) {
+            // Update existing recurring rule
+            state.updateRecurringRule(editRuleId, data);
+            showStatus('form-status', 'Recurring transaction updated successfully!', 'success', 'polite');
+            state.setEditingRuleId(null);
+        } else if (editId) {
+            // Update existing transaction (it may have been deleted in another tab)
+            if (!state.updateTransaction(editId, data)) {
+                showStatus('form-status', 'This transaction was deleted in another tab, so it cannot be updated', 'error', 'assertive');
+                return;
+            }
             showStatus('form-status', 'Transaction updated successfully!', 'success', 'polite');
             state.setEditingId(null);
+        } else if (isRecurring) {
+            // Add new recurring rule
+            state.addRecurringRule(data);
+            showStatus('form-status', 'Recurring transaction added successfully!', 'success', 'polite');
         } else {
             // Add new transaction
             state.addTransaction(data);
@@ -198,7 +768,10 @@ function initForm() {
         
         // Reset form
         form.reset();
+        renderSplitLines([]);
         submitBtn.textContent = 'Add Transaction';
+        document.getElementById('repeat-fields').classList.remove('hidden');
+        document.getElementById('receipt-group').classList.toggle('hidden', !receipts.isAvailable());
         
         // Switch to records view
         setTimeout(() => {
@@ -208,11 +781,21 @@ function initForm() {
         }, 1000);
     });
     
+    // Replace the form with the version saved in another tab
+    document.getElementById('edit-conflict-load-btn').addEventListener('click', () => {
+        window.editTransaction(state.getEditingId());
+        showStatus('form-status', 'Loaded the latest saved version', 'success', 'polite');
+    });
+    
     cancelBtn.addEventListener('click', () => {
         form.reset();
+        renderSplitLines([]);
         clearAllFieldErrors();
         state.setEditingId(null);
+        state.setEditingRuleId(null);
         submitBtn.textContent = 'Add Transaction';
+        document.getElementById('repeat-fields').classList.remove('hidden');
+        document.getElementById('receipt-group').classList.toggle('hidden', !receipts.isAvailable());
         document.getElementById('form-status').textContent = '';
         showSection('records');
         document.querySelector('[data-section="records"]').classList.add('active');
@@ -220,6 +803,98 @@ function initForm() {
     });
 }
 
+/**
+ * Get the receipt a submitted transaction should have
+ * @param {File|null} file - File chosen in the form
+ * @param {string|null} editId - ID of the transaction being edited
+ * @returns {Promise<string|null>} - Receipt ID, or null for none
+ */
+async function getFormReceiptId(file, editId) {
+    if (file) {
+        return (await receipts.saveReceipt(file)).id;
+    }
+    
+    const transaction = editId ? state.getTransaction(editId) : null;
+    if (!transaction || document.getElementById('receipt-remove').checked) {
+        return null;
+    }
+    
+    return transaction.receiptId || null;
+}
+
+/**
+ * Show the receipt already attached to the transaction being edited, with the option to remove it
+ * @param {string|null} receiptId - Receipt ID (null when there is none)
+ */
+function renderCurrentReceipt(receiptId) {
+    const receipt = receiptId ? receipts.getReceipt(receiptId) : null;
+    document.getElementById('receipt-current').classList.toggle('hidden', !receiptId);
+    document.getElementById('receipt-current-name').textContent = receipt ? receipt.name : 'receipt';
+    document.getElementById('receipt-remove').checked = false;
+}
+
+/**
+ * Render split line inputs in the transaction form
+ * While a transaction is split the main category is taken from the first line, so it is hidden
+ * @param {Array} splits - Array of {category, amount} (empty for no split)
+ */
+function renderSplitLines(splits) {
+    const container = document.getElementById('split-lines');
+    const categories = [...document.getElementById('category').options]
+        .map(option => option.value)
+        .filter(Boolean);
+    
+    container.innerHTML = splits.map((line, i) => `
+        <div class="split-line">
+            <div class="form-group">
+                <label for="split-category-${i}">Line ${i + 1} category</label>
+                <select id="split-category-${i}" class="split-category">
+                    <option value="">Select a category</option>
+                    ${categories.map(category => `<option value="${search.escapeAttribute(category)}"${category === line.category ? ' selected' : ''}>${search.highlight(category, null)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="split-amount-${i}">Line ${i + 1} amount</label>
+                <input type="text" id="split-amount-${i}" class="split-amount" placeholder="0.00" value="${search.escapeAttribute(line.amount)}">
+            </div>
+            <button type="button" class="btn btn-small btn-danger split-remove" data-index="${i}" aria-label="Remove line ${i + 1}">Remove</button>
+        </div>
+    `).join('');
+    
+    document.getElementById('category').closest('.form-group').classList.toggle('hidden', splits.length > 0);
+    document.getElementById('add-split-btn').textContent = splits.length > 0 ? 'Add Line' : 'Split Amount';
+    clearFieldError('splits');
+    updateSplitRemaining();
+}
+
+/**
+ * Read split lines from the transaction form
+ * @returns {Array} - Array of {category, amount} as entered
+ */
+function getSplitLines() {
+    return [...document.querySelectorAll('#split-lines .split-line')].map(line => ({
+        category: line.querySelector('.split-category').value,
+        amount: line.querySelector('.split-amount').value.trim()
+    }));
+}
+
+/**
+ * Show how much of the amount is not yet assigned to a split line
+ */
+function updateSplitRemaining() {
+    const remaining = document.getElementById('split-remaining');
+    const lines = getSplitLines();
+    const total = parseFloat(document.getElementById('amount').value);
+    
+    if (lines.length === 0 || isNaN(total)) {
+        remaining.textContent = '';
+        return;
+    }
+    
+    const assigned = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+    remaining.textContent = `Remaining to assign: ${(total - assigned).toFixed(2)}`;
+}
+
 /**
  * Validate single field
  * @param {string} field - Field name
@@ -241,6 +916,21 @@ function validateField(field, value) {
         case 'category':
             result = validators.validateCategory(value);
             break;
+        case 'type':
+            result = validators.validateType(value);
+            break;
+        case 'frequency':
+            result = validators.validateFrequency(value);
+            break;
+        case 'tags':
+            result = validators.validateTags(tags.parseTags(value));
+            break;
+        case 'notes':
+            result = validators.validateNotes(value);
+            break;
+        case 'receipt':
+            result = validators.validateReceipt(value);
+            break;
         default:
             return;
     }
@@ -291,7 +981,7 @@ function clearFieldError(field) {
  * Clear all field errors
  */
 function clearAllFieldErrors() {
-    ['description', 'amount', 'date', 'category'].forEach(field => {
+    ['description', 'amount', 'type', 'date', 'category', 'splits', 'tags', 'notes', 'receipt', 'frequency', 'until'].forEach(field => {
         clearFieldError(field);
     });
 }
@@ -301,6 +991,7 @@ function clearAllFieldErrors() {
  */
 function initSettings() {
     const saveRatesBtn = document.getElementById('save-rates-btn');
+    const baseCurrencySelect = document.getElementById('base-currency');
     const usdRateInput = document.getElementById('usd-rate');
     const rwfRateInput = document.getElementById('rwf-rate');
     const exportBtn = document.getElementById('export-json-btn');
@@ -309,9 +1000,21 @@ function initSettings() {
     
     // Load current rates
     const settings = state.getSettings();
-    usdRateInput.value = settings.usdRate || 1.09;
-    rwfRateInput.value = settings.rwfRate || 1.27;
-
+    usdRateInput.value = settings.usdRate || currency.DEFAULT_RATES.usdRate;
+    rwfRateInput.value = settings.rwfRate || currency.DEFAULT_RATES.rwfRate;
+    
+    // Base display currency
+    baseCurrencySelect.innerHTML = Object.entries(currency.CURRENCIES).map(([code, info]) =>
+        `<option value="${code}">${code} - ${info.name}</option>`
+    ).join('');
+    baseCurrencySelect.value = currency.getBaseCurrency(settings);
+    
+    baseCurrencySelect.addEventListener('change', () => {
+        state.updateSettings({ baseCurrency: baseCurrencySelect.value });
+        renderCurrencyOptions();
+        showStatus('rates-status', `Amounts are now shown in ${baseCurrencySelect.value}`, 'success', 'polite');
+    });
+    
     // Save rates
     saveRatesBtn.addEventListener('click', () => {
         const usdRate = parseFloat(usdRateInput.value);
@@ -326,17 +1029,44 @@ function initSettings() {
         showStatus('rates-status', 'Rates saved successfully!', 'success', 'polite');
     });
     
+    // Categories
+    initCategories();
+    
+    // Academic terms
+    initTerms();
+    
+    // Category rules
+    initRules();
+    
+    // Receipt storage
+    initReceiptStorage();
+    
+    // Passphrase fields only apply to encrypted exports
+    document.getElementById('encrypt-export').addEventListener('change', (e) => {
+        document.getElementById('export-passphrase-fields').classList.toggle('hidden', !e.target.checked);
+        ['export-passphrase', 'export-passphrase-confirm'].forEach(clearFieldError);
+    });
+    
     // Export JSON
     exportBtn.addEventListener('click', () => {
-        const transactions = state.getTransactions();
-        const json = JSON.stringify(transactions, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `transactions_${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        saveExport(schema.createExport(state.getTransactions()), 'transactions');
+    });
+    
+    // Full backup (a zip with the receipt files when any transaction has one)
+    document.getElementById('backup-btn').addEventListener('click', async () => {
+        const data = state.getBackupData();
+        const receiptIds = [...new Set(data.transactions.map(t => t.receiptId).filter(Boolean))];
+        try {
+            const file = await backup.createBackup(data);
+            if (receipts.isAvailable() && receiptIds.length > 0) {
+                await saveBackupArchive(file, receiptIds);
+            } else {
+                await saveExport(file, 'finance_backup');
+            }
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            showStatus('export-status', 'The backup could not be created', 'error', 'assertive');
+        }
     });
     
     // Import JSON
@@ -344,10 +1074,48 @@ function initSettings() {
         const file = e.target.files[0];
         if (!file) return;
         
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            importFile.value = '';
+            importBackupArchive(file);
+            return;
+        }
+        
         const reader = new FileReader();
-        reader.onload = (event) => {
+        reader.onload = async (event) => {
             try {
-                const data = JSON.parse(event.target.result);
+                let parsed = JSON.parse(event.target.result);
+                
+                // Encrypted files hold an export or a backup once decrypted
+                if (encryption.isEncrypted(parsed)) {
+                    const passphrase = document.getElementById('import-passphrase').value;
+                    importFile.value = '';
+                    if (!passphrase) {
+                        showStatus('import-status', 'This file is encrypted. Enter its passphrase and choose the file again.', 'error', 'assertive');
+                        return;
+                    }
+                    
+                    try {
+                        parsed = await encryption.decryptFile(parsed, passphrase);
+                    } catch (error) {
+                        showStatus('import-status', error.message, 'error', 'assertive');
+                        return;
+                    }
+                }
+                
+                if (backup.isBackup(parsed)) {
+                    importFile.value = '';
+                    startRestore(parsed).catch(showRestoreError);
+                    return;
+                }
+                
+                // Older exports are upgraded to the current schema before validation
+                const exported = schema.readExport(parsed);
+                if (!exported.valid) {
+                    showStatus('import-status', exported.message, 'error', 'assertive');
+                    return;
+                }
+                
+                const data = exported.transactions;
                 const validation = validators.validateImportData(data);
                 
                 if (!validation.valid) {
@@ -355,8 +1123,13 @@ function initSettings() {
                     return;
                 }
                 
-                state.importTransactions(data);
-                showStatus('import-status', `Successfully imported ${data.length} transactions!`, 'success', 'polite');
+                if (document.getElementById('import-mode').value === 'replace') {
+                    state.importTransactions(data);
+                    showStatus('import-status', `Successfully imported ${data.length} transactions!`, 'success', 'polite');
+                    showToast(`Replaced transactions with ${data.length} imported records`, true);
+                } else {
+                    startMergeImport(data);
+                }
                 importFile.value = '';
             } catch (error) {
                 showStatus('import-status', 'Invalid JSON file', 'error', 'assertive');
@@ -367,28 +1140,1037 @@ function initSettings() {
     
     // Clear data
     clearDataBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete all transactions? This cannot be undone.')) {
+        if (confirm('Are you sure you want to delete all transactions?')) {
             state.clearTransactions();
             showStatus('import-status', 'All transactions cleared', 'success', 'polite');
+            showToast('All transactions cleared', true);
+        }
+    });
+    
+    // Reset everything
+    document.getElementById('reset-data-btn').addEventListener('click', () => {
+        if (confirm('Delete all transactions, budgets, recurring rules and settings? Consider downloading a full backup first.')) {
+            state.resetAllData();
+            showStatus('import-status', 'All data deleted and settings reset', 'success', 'polite');
+            showToast('All data reset', true);
         }
     });
     
+    // CSV import
+    initCsvImport();
+    
+    // Merge import duplicate resolution
+    initMergeImport();
+    
+    // Backup restore
+    initRestore();
+    
+    // Lock mode
+    initLock();
+    
     // Render categories
     renderCategories();
 }
 
 /**
- * Render categories list
+ * Start merging imported records into existing transactions
+ * Imports without duplicates are applied straight away; otherwise the user picks an action per duplicate
+ * @param {Array} records - Imported records
+ * @param {string} note - Extra text for the summary message
  */
-function renderCategories() {
-    const categoriesList = document.getElementById('categories-list');
-    const settings = state.getSettings();
-    const categories = settings.categories || [];
+function startMergeImport(records, note = '') {
+    const conflicts = state.findImportConflicts(records);
     
-    categoriesList.innerHTML = categories.map(cat => 
-        `<span class="category-tag">${cat}</span>`
-    ).join('');
-}
+    if (conflicts.length === 0) {
+        const summary = state.mergeTransactions(records);
+        showMergeSummary(summary, note);
+        return;
+    }
+    
+    pendingMerge = { records, conflicts, note };
+    renderMergeConflicts();
+    document.getElementById('merge-conflicts').classList.remove('hidden');
+    document.getElementById('merge-apply-btn').focus();
+}
+
+/**
+ * Show import summary
+ * @param {Object} summary - {added, updated, skipped}
+ * @param {string} note - Extra text appended to the message
+ */
+function showMergeSummary(summary, note = '') {
+    showStatus('import-status', `Import complete: ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped.${note}`, 'success', 'polite');
+    showToast(`Imported ${summary.added + summary.updated} records`, true);
+}
+
+/**
+ * Describe a record for the duplicates table
+ * @param {Object} record - Transaction or imported record
+ * @returns {string} - HTML string
+ */
+function describeRecord(record) {
+    const amount = currency.formatAmount(parseFloat(record.amount), currency.getRecordCurrency(record));
+    return `${search.highlight(record.date, null)} &middot; ${search.highlight(record.description, null)} &middot; ${amount}`;
+}
+
+/**
+ * Render pending merge duplicates
+ */
+function renderMergeConflicts() {
+    const { records, conflicts } = pendingMerge;
+    
+    document.getElementById('merge-summary').textContent =
+        `${records.length} records in the import, ${records.length - conflicts.length} new. ${conflicts.length} look like transactions you already have - choose what to do with each.`;
+    
+    document.getElementById('merge-conflicts-tbody').innerHTML = conflicts.map(conflict => `
+        <tr>
+            <td>${describeRecord(conflict.incoming)}</td>
+            <td>${describeRecord(conflict.existing)}</td>
+            <td>${conflict.reason === 'id' ? 'Same ID' : 'Similar date, amount and description'}</td>
+            <td>
+                <label class="sr-only" for="merge-action-${conflict.index}">Action for imported record ${conflict.index + 1}</label>
+                <select id="merge-action-${conflict.index}" class="merge-action" data-index="${conflict.index}">
+                    <option value="skip">Skip</option>
+                    <option value="overwrite">Overwrite existing</option>
+                    <option value="keep">Keep both</option>
+                </select>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Initialize duplicate resolution controls for merge imports
+ */
+function initMergeImport() {
+    const panel = document.getElementById('merge-conflicts');
+    
+    document.querySelectorAll('.merge-all').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.merge-action').forEach(select => {
+                select.value = btn.dataset.action;
+            });
+        });
+    });
+    
+    document.getElementById('merge-apply-btn').addEventListener('click', () => {
+        if (!pendingMerge) return;
+        
+        const resolutions = {};
+        document.querySelectorAll('.merge-action').forEach(select => {
+            resolutions[select.dataset.index] = select.value;
+        });
+        
+        const summary = state.mergeTransactions(pendingMerge.records, resolutions);
+        showMergeSummary(summary, pendingMerge.note);
+        pendingMerge = null;
+        panel.classList.add('hidden');
+    });
+    
+    document.getElementById('merge-cancel-btn').addEventListener('click', () => {
+        pendingMerge = null;
+        panel.classList.add('hidden');
+        showStatus('import-status', 'Import cancelled. No transactions were changed.', 'success', 'polite');
+    });
+}
+
+/**
+ * Save data as a dated JSON download
+ * @param {Object} data - Data to save
+ * @param {string} name - File name prefix
+ */
+function downloadJSON(data, name) {
+    const json = JSON.stringify(data, null, 2);
+    downloadFile(new Blob([json], { type: 'application/json' }), name, 'json');
+}
+
+/**
+ * Download a file named with today's date
+ * @param {Blob} blob - File contents
+ * @param {string} name - File name prefix
+ * @param {string} extension - File extension
+ */
+function downloadFile(blob, name, extension) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}_${new Date().toISOString().split('T')[0]}.${extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read the export passphrase, showing errors if it is too short or not confirmed
+ * @returns {string|null} - Passphrase, or null if it is invalid
+ */
+function readExportPassphrase() {
+    const fields = { passphrase: 'export-passphrase', confirmation: 'export-passphrase-confirm' };
+    Object.values(fields).forEach(clearFieldError);
+    
+    const passphrase = document.getElementById(fields.passphrase).value;
+    const result = validators.validatePassphrase(passphrase, document.getElementById(fields.confirmation).value);
+    if (!result.valid) {
+        Object.entries(result.errors).forEach(([field, message]) => showFieldError(fields[field], message));
+        showStatus('export-status', 'Please fix the errors above', 'error', 'assertive');
+        document.getElementById(fields[Object.keys(result.errors)[0]]).focus();
+        return null;
+    }
+    
+    return passphrase;
+}
+
+/**
+ * Download an export, encrypting it first if the user asked for a passphrase
+ * @param {Object} data - Export or backup contents
+ * @param {string} name - File name prefix
+ * @returns {Promise<boolean>} - False if the passphrase fields need fixing first
+ */
+async function saveExport(data, name) {
+    if (!document.getElementById('encrypt-export').checked) {
+        downloadJSON(data, name);
+        return true;
+    }
+    
+    const passphrase = readExportPassphrase();
+    if (passphrase === null) return false;
+    
+    showStatus('export-status', 'Encrypting...', 'success', 'polite');
+    downloadJSON(await encryption.encryptFile(data, passphrase), `${name}_encrypted`);
+    showStatus('export-status', 'Encrypted file downloaded. Keep the passphrase safe; it cannot be recovered.', 'success', 'polite');
+    return true;
+}
+
+/**
+ * Download a full backup as a zip holding the backup file and its receipt files
+ * With a passphrase, the receipts are encrypted with the same key as the backup file
+ * @param {Object} file - Backup file
+ * @param {Array} receiptIds - Receipts used by the backed-up transactions
+ */
+async function saveBackupArchive(file, receiptIds) {
+    const encrypt = document.getElementById('encrypt-export').checked;
+    const passphrase = encrypt ? readExportPassphrase() : null;
+    if (encrypt && passphrase === null) return;
+    
+    showStatus('export-status', encrypt ? 'Encrypting...' : 'Packing receipts...', 'success', 'polite');
+    try {
+        const contents = encrypt ? await encryption.encryptFile(file, passphrase) : file;
+        const key = encrypt ? await encryption.deriveFileKey(contents, passphrase) : null;
+        
+        // Receipts missing from this browser (e.g. imported from elsewhere) are left out
+        const files = [];
+        for (const id of receiptIds) {
+            const blob = await receipts.getReceiptFile(id);
+            const receipt = receipts.getReceipt(id);
+            if (blob && receipt) {
+                files.push({ ...receipt, data: new Uint8Array(await blob.arrayBuffer()) });
+            }
+        }
+        
+        const archive = await backup.createBackupArchive(contents, files, key);
+        downloadFile(new Blob([archive], { type: 'application/zip' }), encrypt ? 'finance_backup_encrypted' : 'finance_backup', 'zip');
+        
+        const missing = receiptIds.length - files.length;
+        const message = `Backup downloaded with ${files.length} receipt${files.length === 1 ? '' : 's'}`
+            + (missing > 0 ? `; ${missing} not stored in this browser ${missing === 1 ? 'was' : 'were'} left out` : '')
+            + (encrypt ? '. Keep the passphrase safe; it cannot be recovered.' : '.');
+        showStatus('export-status', message, 'success', 'polite');
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        showStatus('export-status', 'The backup could not be created', 'error', 'assertive');
+    }
+}
+
+/**
+ * Read a backup zip and show what restoring it would change
+ * @param {File} file - Zip chosen in the import field
+ */
+async function importBackupArchive(file) {
+    try {
+        const archive = backup.openBackupArchive(new Uint8Array(await file.arrayBuffer()));
+        let parsed = archive.file;
+        let key = null;
+        
+        if (encryption.isEncrypted(parsed)) {
+            const passphrase = document.getElementById('import-passphrase').value;
+            if (!passphrase) {
+                showStatus('import-status', 'This file is encrypted. Enter its passphrase and choose the file again.', 'error', 'assertive');
+                return;
+            }
+            key = await encryption.deriveFileKey(parsed, passphrase);
+            parsed = await encryption.decryptValue(key, parsed);
+        }
+        
+        if (!backup.isBackup(parsed)) {
+            showStatus('import-status', 'Archive does not contain a full backup', 'error', 'assertive');
+            return;
+        }
+        
+        const result = await backup.readArchiveReceipts(archive.entries, key);
+        if (!result.valid) {
+            showStatus('import-status', result.message, 'error', 'assertive');
+            return;
+        }
+        
+        startRestore(parsed, result.receipts).catch(showRestoreError);
+    } catch (error) {
+        showStatus('import-status', error instanceof SyntaxError ? 'Invalid backup archive' : error.message, 'error', 'assertive');
+    }
+}
+
+/**
+ * Initialize receipt storage usage and the purge of unused receipts
+ */
+function initReceiptStorage() {
+    document.getElementById('receipt-storage').classList.toggle('hidden', !receipts.isAvailable());
+    if (!receipts.isAvailable()) return;
+    
+    // Receipts saved in another tab are only known here once the list is read again
+    storage.addRemoteListener(async (sections) => {
+        if (!sections.includes('transactions')) return;
+        await receipts.loadReceipts();
+        renderRecords(state.getState());
+        renderReceiptStorage(state.getState());
+    });
+    
+    document.getElementById('purge-receipts-btn').addEventListener('click', async () => {
+        await receipts.loadReceipts();
+        const orphans = receipts.findOrphans(state.getTransactions());
+        if (orphans.length === 0) {
+            renderReceiptStorage(state.getState());
+            showStatus('receipts-status', 'No unused receipts to delete', 'success', 'polite');
+            return;
+        }
+        
+        const size = formatFileSize(receipts.getTotalSize(orphans));
+        const count = `${orphans.length} receipt${orphans.length === 1 ? '' : 's'}`;
+        if (!confirm(`Delete ${count} (${size}) that no transaction uses? Undo cannot bring them back.`)) return;
+        
+        try {
+            await receipts.deleteReceipts(orphans.map(receipt => receipt.id));
+        } catch (error) {
+            console.error('Error deleting receipts:', error);
+            showStatus('receipts-status', 'The receipts could not be deleted', 'error', 'assertive');
+            return;
+        }
+        
+        renderReceiptStorage(state.getState());
+        showStatus('receipts-status', `Deleted ${count}, freeing ${size}`, 'success', 'polite');
+    });
+}
+
+/**
+ * Render how much space receipts use and how much of it is unused
+ * @param {Object} currentState - Current application state
+ */
+function renderReceiptStorage(currentState) {
+    if (!receipts.isAvailable()) return;
+    
+    const stored = receipts.getReceipts();
+    const orphans = receipts.findOrphans(currentState.transactions);
+    const count = n => `${n} receipt${n === 1 ? '' : 's'}`;
+    
+    let usage = stored.length === 0
+        ? 'No receipts stored.'
+        : `${count(stored.length)} stored, using ${formatFileSize(receipts.getTotalSize(stored))}.`;
+    if (orphans.length > 0) {
+        usage += ` ${count(orphans.length)} (${formatFileSize(receipts.getTotalSize(orphans))}) not used by any transaction.`;
+    }
+    document.getElementById('receipt-usage').textContent = usage;
+    document.getElementById('purge-receipts-btn').disabled = orphans.length === 0;
+    
+    // The browser's estimate covers everything this site stores, not only receipts
+    if (navigator.storage && navigator.storage.estimate) {
+        navigator.storage.estimate().then(({ usage: used, quota }) => {
+            document.getElementById('storage-estimate').textContent =
+                `This site is using ${formatFileSize(used)} of the ${formatFileSize(quota)} the browser allows it.`;
+        }).catch(() => {});
+    }
+}
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size in B, KB, MB or GB
+ */
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Initialize lock mode controls
+ */
+function initLock() {
+    const enableBtn = document.getElementById('lock-enable-btn');
+    const disableBtn = document.getElementById('lock-disable-btn');
+    const fields = { passphrase: 'lock-passphrase', confirmation: 'lock-passphrase-confirm' };
+    
+    enableBtn.addEventListener('click', async () => {
+        Object.values(fields).forEach(clearFieldError);
+        
+        const passphrase = document.getElementById(fields.passphrase).value;
+        const result = validators.validatePassphrase(passphrase, document.getElementById(fields.confirmation).value);
+        if (!result.valid) {
+            Object.entries(result.errors).forEach(([field, message]) => showFieldError(fields[field], message));
+            showStatus('lock-status', 'Please fix the errors above', 'error', 'assertive');
+            document.getElementById(fields[Object.keys(result.errors)[0]]).focus();
+            return;
+        }
+        
+        enableBtn.disabled = true;
+        showStatus('lock-status', 'Encrypting your data...', 'success', 'polite');
+        try {
+            await storage.enableLock(passphrase);
+            Object.values(fields).forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            showStatus('lock-status', 'Lock mode is on. You will be asked for the passphrase next time the app opens.', 'success', 'polite');
+        } catch (error) {
+            showStatus('lock-status', `Could not turn on lock mode: ${error.message}`, 'error', 'assertive');
+        } finally {
+            enableBtn.disabled = false;
+            renderLockState();
+        }
+    });
+    
+    disableBtn.addEventListener('click', async () => {
+        if (!confirm('Store your data unencrypted in this browser again?')) return;
+        
+        try {
+            await storage.disableLock();
+            showStatus('lock-status', 'Lock mode is off. Your data is no longer encrypted.', 'success', 'polite');
+        } catch (error) {
+            showStatus('lock-status', `Could not turn off lock mode: ${error.message}`, 'error', 'assertive');
+        } finally {
+            renderLockState();
+        }
+    });
+    
+    renderLockState();
+}
+
+/**
+ * Show the lock mode controls that apply to the current state
+ */
+function renderLockState() {
+    const locked = storage.isLockEnabled();
+    document.getElementById('lock-state').textContent = locked
+        ? 'Lock mode is on. Data in this browser is encrypted.'
+        : 'Lock mode is off.';
+    document.getElementById('lock-enable-fields').classList.toggle('hidden', locked);
+    document.getElementById('lock-disable-btn').classList.toggle('hidden', !locked);
+}
+
+/**
+ * Initialize backup restore confirmation controls
+ */
+function initRestore() {
+    const panel = document.getElementById('restore-preview');
+    
+    document.getElementById('restore-apply-btn').addEventListener('click', async () => {
+        if (!pendingRestore) return;
+        
+        // Receipts are stored before the transactions that use them
+        if (pendingRestoreReceipts.length > 0) {
+            try {
+                await receipts.saveReceipts(pendingRestoreReceipts);
+            } catch (error) {
+                console.error('Error restoring receipts:', error);
+                showStatus('import-status', 'The receipts could not be stored, so nothing was restored. The browser may be out of storage space.', 'error', 'assertive');
+                return;
+            }
+        }
+        
+        state.restoreBackup(pendingRestore);
+        pendingRestore = null;
+        pendingRestoreReceipts = [];
+        panel.classList.add('hidden');
+        showStatus('import-status', 'Backup restored', 'success', 'polite');
+        showToast('Backup restored', true);
+    });
+    
+    document.getElementById('restore-cancel-btn').addEventListener('click', () => {
+        pendingRestore = null;
+        pendingRestoreReceipts = [];
+        panel.classList.add('hidden');
+        showStatus('import-status', 'Restore cancelled. No data was changed.', 'success', 'polite');
+    });
+}
+
+/**
+ * Check a backup file and show what restoring it would change
+ * Nothing is applied until the user confirms
+ * @param {Object} file - Parsed backup file
+ * @param {Array} restoredReceipts - Receipt files from a backup zip
+ */
+async function startRestore(file, restoredReceipts = []) {
+    const result = await backup.readBackup(file);
+    
+    if (!result.valid) {
+        const details = Object.entries(result.errors).map(([section, message]) => `${BACKUP_SECTIONS[section]}: ${message}`);
+        showStatus('import-status', [result.message, ...details].join('\n'), 'error', 'assertive');
+        return;
+    }
+    
+    pendingRestore = result.data;
+    pendingRestoreReceipts = receipts.isAvailable() ? restoredReceipts : [];
+    const exportedAt = typeof file.exportedAt === 'string' ? file.exportedAt.slice(0, 10) : 'an unknown date';
+    document.getElementById('restore-summary').textContent =
+        `Backup from ${exportedAt} passed its checksum and validation. Restoring replaces all current data:`;
+    renderRestoreChanges(backup.summarizeChanges(state.getBackupData(), result.data), pendingRestoreReceipts.length);
+    document.getElementById('restore-preview').classList.remove('hidden');
+    document.getElementById('restore-apply-btn').focus();
+}
+
+/**
+ * Report a backup that could not be read for restoring
+ * @param {Error} error - Error thrown while reading it
+ */
+function showRestoreError(error) {
+    console.error('Error reading backup:', error);
+    showStatus('import-status', 'The backup could not be read. It may be damaged.', 'error', 'assertive');
+}
+
+/**
+ * Render the changes a restore would make as diff-style lines
+ * @param {Object} changes - Summary from backup.summarizeChanges
+ * @param {number} receiptCount - Receipt files the backup brings
+ */
+function renderRestoreChanges(changes, receiptCount = 0) {
+    const base = currency.getBaseCurrency(state.getSettings());
+    const lines = [];
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    
+    [['transactions', 'transaction'], ['recurringRules', 'recurring rule']].forEach(([section, noun]) => {
+        const { added, changed, removed, unchanged } = changes[section];
+        if (added) lines.push(['diff-add', `+ ${count(added, noun)} added`]);
+        if (changed) lines.push(['diff-change', `~ ${count(changed, noun)} changed`]);
+        if (removed) lines.push(['diff-remove', `- ${count(removed, noun)} removed`]);
+        if (unchanged) lines.push(['diff-same', `= ${count(unchanged, noun)} unchanged`]);
+    });
+    
+    if (receiptCount > 0) {
+        lines.push(['diff-add', `+ ${count(receiptCount, 'receipt file')} stored (existing receipts are kept)`]);
+    }
+    
+    if (changes.settings.length > 0) {
+        lines.push(['diff-change', `~ Settings changed: ${changes.settings.join(', ')}`]);
+    }
+    
+    if (changes.budgets.length > 0) {
+        lines.push(['diff-change', `~ Category budgets changed: ${changes.budgets.join(', ')}`]);
+    }
+    
+    if (changes.budgetCap) {
+        const format = cap => (cap === null ? 'none' : currency.formatAmount(cap, base));
+        lines.push(['diff-change', `~ Budget cap: ${format(changes.budgetCap.from)} → ${format(changes.budgetCap.to)}`]);
+    }
+    
+    if (changes.settings.length === 0 && changes.budgets.length === 0 && !changes.budgetCap) {
+        lines.push(['diff-same', '= Settings and budgets unchanged']);
+    }
+    
+    document.getElementById('restore-changes').innerHTML = lines
+        .map(([className, text]) => `<li class="${className}">${search.highlight(text, null)}</li>`)
+        .join('');
+}
+
+/**
+ * Initialize CSV import with column mapping and preview
+ */
+function initCsvImport() {
+    const csvFile = document.getElementById('import-csv-file');
+    const panel = document.getElementById('csv-import');
+    const delimiterSelect = document.getElementById('csv-delimiter');
+    const dateFormatSelect = document.getElementById('csv-date-format');
+    const hasHeaderCheckbox = document.getElementById('csv-has-header');
+    const mapSelects = document.querySelectorAll('.csv-map');
+    const importBtn = document.getElementById('csv-import-btn');
+    const cancelBtn = document.getElementById('csv-cancel-btn');
+    
+    let text = '';
+    let rows = [];
+    let preview = [];
+    
+    dateFormatSelect.innerHTML = csv.DATE_FORMATS.map(format =>
+        `<option value="${format}">${format}</option>`
+    ).join('');
+    
+    // Re-read rows and rebuild the column choices
+    const loadRows = (guess) => {
+        rows = csv.parseCSV(text, delimiterSelect.value);
+        const firstRow = rows[0] || [];
+        const headers = hasHeaderCheckbox.checked
+            ? firstRow
+            : firstRow.map((_, i) => `Column ${i + 1}`);
+        
+        mapSelects.forEach(select => {
+            const optional = select.dataset.field === 'category';
+            select.innerHTML = (optional ? '<option value="-1">(none - use Other)</option>' : '<option value="-1">(not mapped)</option>') +
+                headers.map((header, i) => `<option value="${i}">${search.highlight(header || `Column ${i + 1}`, null)}</option>`).join('');
+        });
+        
+        if (guess) {
+            const mapping = csv.guessColumnMapping(hasHeaderCheckbox.checked ? firstRow : []);
+            mapSelects.forEach(select => {
+                select.value = mapping[select.dataset.field];
+            });
+            
+            const dateIndex = parseInt(document.getElementById('csv-map-date').value, 10);
+            const dataRows = hasHeaderCheckbox.checked ? rows.slice(1) : rows;
+            dateFormatSelect.value = csv.detectDateFormat(dataRows.map(row => row[dateIndex] || ''));
+        }
+    };
+    
+    const renderPreview = () => {
+        const mapping = {};
+        mapSelects.forEach(select => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+        
+        const dataRows = hasHeaderCheckbox.checked ? rows.slice(1) : rows;
+        const settings = state.getSettings();
+        preview = csv.buildTransactions(dataRows, mapping, dateFormatSelect.value, {
+            categories: settings.categories || [],
+            rules: rules.getRules(settings),
+            currency: currency.getBaseCurrency(settings)
+        });
+        
+        const validCount = preview.filter(item => item.valid).length;
+        document.getElementById('csv-summary').textContent =
+            `${preview.length} rows found: ${validCount} valid, ${preview.length - validCount} with errors`;
+        importBtn.textContent = `Import ${validCount} Valid Row${validCount === 1 ? '' : 's'}`;
+        importBtn.disabled = validCount === 0;
+        
+        document.getElementById('csv-preview-tbody').innerHTML = preview.map(item => `
+            <tr class="${item.valid ? '' : 'csv-row-error'}">
+                <td>${item.row}</td>
+                <td>${search.highlight(item.data.date, null)}</td>
+                <td>${search.highlight(item.data.description, null)}</td>
+                <td>${item.data.type}</td>
+                <td>${search.highlight(item.data.amount, null)}</td>
+                <td>${item.data.category}</td>
+                <td>${item.valid ? 'OK' : `<ul class="csv-errors">${Object.values(item.errors).map(message => `<li>${message}</li>`).join('')}</ul>`}</td>
+            </tr>
+        `).join('');
+    };
+    
+    const closePanel = () => {
+        panel.classList.add('hidden');
+        csvFile.value = '';
+        text = '';
+        rows = [];
+        preview = [];
+    };
+    
+    csvFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            text = event.target.result;
+            delimiterSelect.value = csv.detectDelimiter(text);
+            loadRows(true);
+            
+            if (rows.length === 0) {
+                showStatus('import-status', 'The CSV file is empty', 'error', 'assertive');
+                closePanel();
+                return;
+            }
+            
+            renderPreview();
+            panel.classList.remove('hidden');
+            delimiterSelect.focus();
+        };
+        reader.readAsText(file);
+    });
+    
+    delimiterSelect.addEventListener('change', () => {
+        loadRows(true);
+        renderPreview();
+    });
+    hasHeaderCheckbox.addEventListener('change', () => {
+        loadRows(true);
+        renderPreview();
+    });
+    dateFormatSelect.addEventListener('change', renderPreview);
+    mapSelects.forEach(select => select.addEventListener('change', renderPreview));
+    
+    importBtn.addEventListener('click', () => {
+        const valid = preview.filter(item => item.valid).map(item => item.data);
+        if (valid.length === 0) return;
+        
+        const invalid = preview.length - valid.length;
+        closePanel();
+        
+        if (document.getElementById('import-mode').value === 'replace') {
+            state.importTransactions([]);
+        }
+        startMergeImport(valid, invalid ? ` ${invalid} CSV rows with errors were left out.` : '');
+    });
+    
+    cancelBtn.addEventListener('click', () => {
+        closePanel();
+        showStatus('import-status', 'CSV import cancelled', 'success', 'polite');
+    });
+}
+
+/**
+ * Keep settings inputs in step with state (e.g. after undo)
+ * Inputs that currently have focus are left alone
+ * @param {Object} currentState - Current application state
+ */
+function renderSettings(currentState) {
+    const settings = currentState.settings;
+    const inputs = {
+        'usd-rate': settings.usdRate || currency.DEFAULT_RATES.usdRate,
+        'rwf-rate': settings.rwfRate || currency.DEFAULT_RATES.rwfRate,
+        'base-currency': currency.getBaseCurrency(settings)
+    };
+    
+    Object.entries(inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input && document.activeElement !== input) {
+            input.value = value;
+        }
+    });
+    
+    renderCategories();
+    renderTerms(currentState);
+    renderRules(currentState);
+    renderReceiptStorage(currentState);
+}
+
+/**
+ * Initialize category rule form and the re-apply preview
+ */
+function initRules() {
+    const patternInput = document.getElementById('rule-pattern');
+    const categorySelect = document.getElementById('rule-category');
+    const panel = document.getElementById('rules-preview');
+    
+    document.getElementById('add-rule-btn').addEventListener('click', () => {
+        const data = {
+            pattern: patternInput.value,
+            caseInsensitive: document.getElementById('rule-case-insensitive').checked,
+            category: categorySelect.value
+        };
+        
+        ['rule-pattern', 'rule-category'].forEach(clearFieldError);
+        
+        const result = validators.validateCategoryRule(data, categories.getActiveCategories(state.getSettings()));
+        if (!result.valid) {
+            Object.entries(result.errors).forEach(([field, message]) => showFieldError(`rule-${field}`, message));
+            showStatus('rules-status', 'Please fix the errors above', 'error', 'assertive');
+            document.getElementById(`rule-${Object.keys(result.errors)[0]}`).focus();
+            return;
+        }
+        
+        const rule = state.addCategoryRule(data);
+        patternInput.value = '';
+        showStatus('rules-status', `Rule ${rules.formatRule(rule)} → ${rule.category} added`, 'success', 'polite');
+    });
+    
+    document.getElementById('rules-preview-btn').addEventListener('click', () => {
+        const changes = rules.previewRules(state.getCategoryRules(), state.getTransactions());
+        if (changes.length === 0) {
+            panel.classList.add('hidden');
+            showStatus('rules-status', 'The rules would not change any transactions', 'success', 'polite');
+            return;
+        }
+        
+        pendingRuleChanges = changes.map(({ transaction, category }) => ({ id: transaction.id, category }));
+        document.getElementById('rules-preview-summary').textContent =
+            `${changes.length} transaction${changes.length === 1 ? '' : 's'} would change category`;
+        document.getElementById('rules-preview-tbody').innerHTML = changes.map(({ transaction, category }) => `
+            <tr>
+                <td>${transaction.date}</td>
+                <td>${search.highlight(transaction.description, null)}</td>
+                <td>${search.highlight(transaction.category, null)}</td>
+                <td>${search.highlight(category, null)}</td>
+            </tr>
+        `).join('');
+        panel.classList.remove('hidden');
+        document.getElementById('rules-apply-btn').focus();
+    });
+    
+    document.getElementById('rules-apply-btn').addEventListener('click', () => {
+        if (!pendingRuleChanges) return;
+        
+        const changed = state.applyCategoryRules(pendingRuleChanges);
+        pendingRuleChanges = null;
+        panel.classList.add('hidden');
+        showStatus('rules-status', `${changed} transaction${changed === 1 ? '' : 's'} recategorised`, 'success', 'polite');
+        if (changed > 0) {
+            showToast('Category rules applied', true);
+        }
+    });
+    
+    document.getElementById('rules-cancel-btn').addEventListener('click', () => {
+        pendingRuleChanges = null;
+        panel.classList.add('hidden');
+        showStatus('rules-status', 'No transactions were changed', 'success', 'polite');
+    });
+}
+
+/**
+ * Render category rules in the order they are tried
+ * @param {Object} currentState - Current application state
+ */
+function renderRules(currentState) {
+    const ruleList = rules.getRules(currentState.settings);
+    
+    document.getElementById('rules-tbody').innerHTML = ruleList.map((rule, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td><code>${search.highlight(rules.formatRule(rule), null)}</code></td>
+            <td>${rule.category}</td>
+            <td>
+                <button class="btn btn-small btn-secondary" onclick="window.moveCategoryRule('${rule.id}', -1)" aria-label="Move rule ${i + 1} up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-small btn-secondary" onclick="window.moveCategoryRule('${rule.id}', 1)" aria-label="Move rule ${i + 1} down" ${i === ruleList.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-small btn-danger" onclick="window.deleteCategoryRule('${rule.id}')">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+    document.getElementById('rules-empty').classList.toggle('hidden', ruleList.length > 0);
+    document.getElementById('rules-preview-btn').disabled = ruleList.length === 0;
+}
+
+/**
+ * Initialize academic term form
+ */
+function initTerms() {
+    document.getElementById('add-term-btn').addEventListener('click', () => {
+        const data = {
+            name: document.getElementById('term-name').value,
+            start: document.getElementById('term-start').value,
+            end: document.getElementById('term-end').value
+        };
+        
+        ['term-name', 'term-start', 'term-end'].forEach(clearFieldError);
+        
+        const result = validators.validateTerm(data, terms.getTerms(state.getSettings()));
+        if (!result.valid) {
+            Object.entries(result.errors).forEach(([field, message]) => showFieldError(`term-${field}`, message));
+            showStatus('terms-status', 'Please fix the errors above', 'error', 'assertive');
+            document.getElementById(`term-${Object.keys(result.errors)[0]}`).focus();
+            return;
+        }
+        
+        const term = state.addTerm(data);
+        ['term-name', 'term-start', 'term-end'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        showStatus('terms-status', `${term.name} added`, 'success', 'polite');
+    });
+}
+
+/**
+ * Render academic terms table and the term choices for dashboard statistics
+ * @param {Object} currentState - Current application state
+ */
+function renderTerms(currentState) {
+    const termList = terms.getTerms(currentState.settings);
+    
+    document.getElementById('terms-empty').classList.toggle('hidden', termList.length > 0);
+    document.getElementById('terms-tbody').innerHTML = termList.map(term => `
+        <tr>
+            <td>${search.highlight(term.name, null)}</td>
+            <td>${term.start}</td>
+            <td>${term.end}</td>
+            <td>
+                <button class="btn btn-small btn-danger" onclick="window.deleteTerm('${term.id}')">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    // Keep the chosen statistics period unless its term was deleted
+    const periodSelect = document.getElementById('stats-period');
+    const selected = periodSelect.value;
+    document.getElementById('stats-period-terms').innerHTML = termList.map(term =>
+        `<option value="term:${term.id}">${search.highlight(term.name, null)}</option>`
+    ).join('');
+    periodSelect.value = selected;
+    if (periodSelect.value !== selected) {
+        periodSelect.value = 'all';
+    }
+}
+
+/**
+ * Initialize category management (add and merge)
+ */
+function initCategories() {
+    const nameInput = document.getElementById('new-category-name');
+    const colorInput = document.getElementById('new-category-color');
+    const iconInput = document.getElementById('new-category-icon');
+    
+    document.getElementById('add-category-btn').addEventListener('click', () => {
+        const name = nameInput.value;
+        const result = validators.validateCategoryName(name, state.getSettings().categories || []);
+        
+        if (!result.valid) {
+            showStatus('categories-status', result.message, 'error', 'assertive');
+            nameInput.focus();
+            return;
+        }
+        
+        const iconResult = validators.validateCategoryIcon(iconInput.value.trim());
+        if (!iconResult.valid) {
+            showStatus('categories-status', iconResult.message, 'error', 'assertive');
+            iconInput.focus();
+            return;
+        }
+        
+        state.addCategory(name, { color: colorInput.value, icon: iconInput.value.trim() || undefined });
+        nameInput.value = '';
+        iconInput.value = '';
+        showStatus('categories-status', `${name} added`, 'success', 'polite');
+    });
+    
+    document.getElementById('merge-category-btn').addEventListener('click', () => {
+        const source = document.getElementById('merge-category-source').value;
+        const target = document.getElementById('merge-category-target').value;
+        
+        if (!source || !target || source === target) {
+            showStatus('categories-status', 'Choose two different categories to merge', 'error', 'assertive');
+            return;
+        }
+        
+        if (confirm(`Move every ${source} transaction to ${target} and remove ${source}?`)) {
+            const moved = state.mergeCategories(source, target);
+            showStatus('categories-status', `${source} merged into ${target} (${moved} transactions moved)`, 'success', 'polite');
+            showToast(`${source} merged into ${target}`, true);
+        }
+    });
+}
+
+/**
+ * Render category options for the transaction form and budget form
+ * Archived categories are left out unless the transaction being edited still uses one
+ * @param {string} include - Category to keep in the transaction form even if archived
+ */
+function renderCategoryOptions(include = '') {
+    const settings = state.getSettings();
+    const active = categories.getActiveCategories(settings);
+    const categorySelect = document.getElementById('category');
+    const budgetSelect = document.getElementById('budget-category');
+    const selected = include || categorySelect.value;
+    const options = selected && !active.includes(selected) && (settings.categories || []).includes(selected)
+        ? [...active, selected]
+        : active;
+    
+    categorySelect.innerHTML = '<option value="">Select a category</option>' +
+        options.map(name => `<option value="${name}">${search.highlight(categories.getCategoryInfo(settings, name).icon, null)} ${name}</option>`).join('');
+    categorySelect.value = options.includes(selected) ? selected : '';
+    
+    [budgetSelect, document.getElementById('rule-category'), document.getElementById('batch-category')].forEach(select => {
+        const previous = select.value;
+        select.innerHTML = active.map(name => `<option value="${name}">${name}</option>`).join('');
+        if (active.includes(previous)) {
+            select.value = previous;
+        }
+    });
+}
+
+/**
+ * Render categories table and merge options
+ */
+function renderCategories() {
+    const tbody = document.getElementById('categories-tbody');
+    const settings = state.getSettings();
+    const names = settings.categories || [];
+    
+    tbody.innerHTML = names.map(name => {
+        const info = categories.getCategoryInfo(settings, name);
+        return `
+        <tr class="${info.archived ? 'category-archived' : ''}">
+            <td><span class="category-tag" style="--category-color: ${info.color}">${search.highlight(info.icon, null)} ${name}</span></td>
+            <td><input type="color" class="category-color-input" value="${info.color}" aria-label="Colour for ${name}" onchange="window.setCategoryColor('${name}', this.value)"></td>
+            <td><input type="text" class="category-icon-input" value="${search.escapeAttribute(info.icon)}" maxlength="${validators.MAX_ICON_LENGTH}" aria-label="Icon for ${name}" onchange="window.setCategoryIcon('${name}', this.value)"></td>
+            <td>${info.archived ? 'Archived' : 'Active'}</td>
+            <td>
+                <button class="btn btn-small btn-secondary" onclick="window.renameCategory('${name}')">Rename</button>
+                <button class="btn btn-small btn-secondary" onclick="window.toggleCategoryArchived('${name}')">${info.archived ? 'Restore' : 'Archive'}</button>
+            </td>
+        </tr>
+    `;
+    }).join('');
+    
+    ['merge-category-source', 'merge-category-target'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = names.map(name => `<option value="${name}">${name}</option>`).join('');
+        if (names.includes(selected)) {
+            select.value = selected;
+        }
+    });
+    
+    renderCategoryOptions();
+}
+
+/**
+ * Initialize undo/redo keyboard shortcuts and the toast Undo button
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) are left to text fields while one has focus
+ */
+function initHistory() {
+    document.getElementById('toast-undo-btn').addEventListener('click', handleUndo);
+    
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (e.target.matches('input:not([type="checkbox"]):not([type="file"]), textarea')) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            handleRedo();
+        } else {
+            handleUndo();
+        }
+    });
+}
+
+/**
+ * Undo the last change and announce it
+ */
+function handleUndo() {
+    const label = state.undo();
+    showToast(label ? `Undone: ${label}` : 'Nothing to undo');
+}
+
+/**
+ * Redo the last undone change and announce it
+ */
+function handleRedo() {
+    const label = state.redo();
+    showToast(label ? `Redone: ${label}` : 'Nothing to redo');
+}
+
+/**
+ * Show toast message, optionally with an Undo button
+ * @param {string} message - Message to announce
+ * @param {boolean} withUndo - Whether to offer Undo
+ */
+function showToast(message, withUndo = false) {
+    const toast = document.getElementById('toast');
+    const undoBtn = document.getElementById('toast-undo-btn');
+    
+    document.getElementById('toast-message').textContent = message;
+    undoBtn.hidden = !withUndo;
+    toast.classList.add('visible');
+    
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        toast.classList.remove('visible');
+        undoBtn.hidden = true;
+        document.getElementById('toast-message').textContent = '';
+    }, 8000);
+}
 
 /**
  * Show status message
@@ -416,8 +2198,30 @@ function showStatus(elementId, message, type, liveLevel = 'polite') {
  * @param {Object} currentState - Current application state
  */
 function handleStateChange(currentState) {
+    suggestions.updateModel(suggestionModel, currentState.transactions);
+    renderEditConflict(currentState);
+    renderSettings(currentState);
     renderDashboard(currentState);
+    renderSavedViews(currentState);
     renderRecords(currentState);
+    renderRecurringRules(currentState);
+}
+
+/**
+ * Warn when the transaction being edited was changed or deleted in another tab
+ * @param {Object} currentState - Current application state
+ */
+function renderEditConflict(currentState) {
+    const conflict = currentState.editConflict;
+    const panel = document.getElementById('edit-conflict');
+    
+    panel.classList.toggle('hidden', !conflict);
+    if (!conflict) return;
+    
+    document.getElementById('edit-conflict-message').textContent = conflict.deleted
+        ? 'This transaction was deleted in another tab.'
+        : 'This transaction was changed in another tab. Saving will overwrite those changes.';
+    document.getElementById('edit-conflict-load-btn').classList.toggle('hidden', conflict.deleted);
 }
 
 /**
@@ -425,43 +2229,404 @@ function handleStateChange(currentState) {
  * @param {Object} currentState - Current application state
  */
 function renderDashboard(currentState) {
-    const stats = state.calculateStats();
+    const range = getStatsRange();
+    const stats = state.calculateStats(range);
+    const base = stats.currency;
     
     // Update stats
     document.getElementById('stat-total').textContent = stats.total;
-    document.getElementById('stat-spent').textContent = `N${stats.totalSpent.toFixed(2)}`;
+    document.getElementById('stat-income').textContent = currency.formatAmount(stats.totalIncome, base);
+    document.getElementById('stat-spent').textContent = currency.formatAmount(stats.totalSpent, base);
+    document.getElementById('stat-net').textContent = currency.formatSignedAmount(stats.netCashFlow, base);
+    document.getElementById('stat-balance').textContent = currency.formatSignedAmount(stats.balance, base);
     document.getElementById('stat-category').textContent = stats.topCategory;
-    document.getElementById('stat-week').textContent = `N${stats.last7Days.toFixed(2)}`;
+    document.getElementById('stat-week').textContent = currency.formatAmount(stats.last7Days, base);
+    document.getElementById('stat-net-heading').textContent = range ? 'Net Cash Flow' : 'Net Cash Flow (This Month)';
     
-    // Update budget cap status
+    // Compare with the previous period of the same length
+    const previous = range ? state.calculateStats(periods.getPreviousRange(range)) : null;
+    renderDelta('stat-total-delta', stats.total, previous && previous.total, value => String(Math.abs(value)), null);
+    renderDelta('stat-income-delta', stats.totalIncome, previous && previous.totalIncome, value => currency.formatAmount(Math.abs(value), base), true);
+    renderDelta('stat-spent-delta', stats.totalSpent, previous && previous.totalSpent, value => currency.formatAmount(Math.abs(value), base), false);
+    renderDelta('stat-net-delta', stats.netCashFlow, previous && previous.netCashFlow, value => currency.formatAmount(Math.abs(value), base), true);
+    
+    // Update budget status for the current month
     const capStatus = document.getElementById('cap-status');
     const budgetCap = currentState.budgetCap;
+    const messages = [];
+    let level = 'under-budget';
     
     if (budgetCap) {
-        const remaining = budgetCap - stats.totalSpent;
+        const remaining = budgetCap - stats.monthSpent;
         
         if (remaining >= 0) {
-            capStatus.textContent = `Budget: N${stats.totalSpent.toFixed(2)} / N${budgetCap.toFixed(2)} - Remaining: N${remaining.toFixed(2)}`;
-            capStatus.className = 'cap-status under-budget';
-            capStatus.setAttribute('aria-live', 'polite');
+            messages.push(`Budget: ${currency.formatAmount(stats.monthSpent, base)} / ${currency.formatAmount(budgetCap, base)} - Remaining: ${currency.formatAmount(remaining, base)}`);
         } else {
-            capStatus.textContent = `Budget exceeded! Spent: N${stats.totalSpent.toFixed(2)} / Cap: N${budgetCap.toFixed(2)} - Over by: N${Math.abs(remaining).toFixed(2)}`;
-            capStatus.className = 'cap-status over-budget';
-            capStatus.setAttribute('aria-live', 'assertive');
+            messages.push(`Budget exceeded! Spent: ${currency.formatAmount(stats.monthSpent, base)} / Cap: ${currency.formatAmount(budgetCap, base)} - Over by: ${currency.formatAmount(Math.abs(remaining), base)}`);
+            level = 'over-budget';
         }
-    } else {
-        capStatus.textContent = '';
     }
     
+    // Category budget alerts (50/80/100% thresholds) for the period, or the current month
+    const budgetRows = range
+        ? budget.calculateRangeBudgetStatus(state.getTransactions(), currentState.budgets, range)
+        : budget.calculateBudgetStatus(state.getTransactions(), currentState.budgets, budget.getMonthKey());
+    budgetRows
+        .filter(row => row.threshold > 0)
+        .forEach(row => {
+            if (row.threshold >= 100) {
+                messages.push(`${row.category} budget exceeded: ${currency.formatAmount(row.spent, base)} of ${currency.formatAmount(row.available, base)}`);
+                level = 'over-budget';
+            } else {
+                messages.push(`${row.category} budget ${row.threshold}% alert: ${currency.formatAmount(row.spent, base)} of ${currency.formatAmount(row.available, base)} used`);
+                if (level === 'under-budget') {
+                    level = 'near-budget';
+                }
+            }
+        });
+    
+    capStatus.textContent = messages.join('\n');
+    capStatus.className = messages.length > 0 ? `cap-status ${level}` : 'cap-status';
+    capStatus.setAttribute('aria-live', level === 'over-budget' ? 'assertive' : 'polite');
+    
+    // Render budget vs actual table
+    renderBudgetTable(currentState);
+    
+    // Render trends chart
+    renderTrends(currentState);
+    
     // Render category chart
-    renderCategoryChart(stats.categoryBreakdown);
+    renderCategoryChart(stats.categoryBreakdown, base);
+    
+    // Render per-term report
+    renderTermSummary(currentState);
+}
+
+/**
+ * Render income, spending and category breakdown for each academic term
+ * @param {Object} currentState - Current application state
+ */
+function renderTermSummary(currentState) {
+    const summaries = terms.calculateTermSummaries(terms.getTerms(currentState.settings));
+    const settings = currentState.settings;
+    
+    document.getElementById('term-summary-empty').classList.toggle('hidden', summaries.length > 0);
+    document.getElementById('term-summary-tbody').innerHTML = summaries.map(({ term, stats }) => {
+        const base = stats.currency;
+        const breakdown = stats.categoryBreakdown.length > 0
+            ? stats.categoryBreakdown.map(item => {
+                const info = categories.getCategoryInfo(settings, item.category);
+                return `<li><span class="category-tag" style="--category-color: ${info.color}">${search.highlight(info.icon, null)} ${search.highlight(item.category, null)}</span> ${currency.formatAmount(item.amount, base)} (${item.percentage.toFixed(1)}%)</li>`;
+            }).join('')
+            : '<li>No spending</li>';
+        
+        return `
+        <tr>
+            <th scope="row">${search.highlight(term.name, null)}</th>
+            <td>${term.start} to ${term.end}</td>
+            <td>${stats.total}</td>
+            <td>${currency.formatAmount(stats.totalIncome, base)}</td>
+            <td>${currency.formatAmount(stats.totalSpent, base)}</td>
+            <td>${currency.formatSignedAmount(stats.netCashFlow, base)}</td>
+            <td><ul class="term-breakdown">${breakdown}</ul></td>
+        </tr>
+    `;
+    }).join('');
+}
+
+/**
+ * Render spending trends as an SVG bar chart, with a legend and a data table fallback
+ * @param {Object} currentState - Current application state
+ */
+function renderTrends(currentState) {
+    const granularity = document.getElementById('trend-granularity').value;
+    const start = document.getElementById('trend-start').value;
+    const end = document.getElementById('trend-end').value;
+    const byCategory = document.getElementById('trend-by-category').checked;
+    const chart = document.getElementById('trends-chart');
+    const status = document.getElementById('trends-status');
+    
+    const clear = (message) => {
+        chart.innerHTML = '';
+        document.getElementById('trends-legend').innerHTML = '';
+        document.getElementById('trends-thead').innerHTML = '';
+        document.getElementById('trends-tbody').innerHTML = '';
+        status.textContent = message;
+        status.className = message ? 'cap-status over-budget' : 'cap-status';
+    };
+    
+    if (!validators.validateDate(start, true).valid || !validators.validateDate(end, true).valid || start > end) {
+        clear('Choose a start date on or before the end date');
+        return;
+    }
+    
+    const result = trends.calculateTrends(currentState.transactions, start, end, granularity);
+    if (result.buckets.length > trends.MAX_BUCKETS) {
+        clear(`That range has more than ${trends.MAX_BUCKETS} ${granularity}s. Choose a shorter range or a longer interval.`);
+        return;
+    }
+    
+    clear('');
+    const base = currency.getBaseCurrency(currentState.settings);
+    const series = byCategory
+        ? result.categories.map(name => ({ name, color: categories.getCategoryInfo(currentState.settings, name).color }))
+        : [{ name: 'Spending', color: 'var(--primary-color)' }];
+    const valueOf = (bucket, name) => (byCategory ? bucket.categories[name] || 0 : bucket.total);
+    
+    chart.innerHTML = renderTrendsSvg(result.buckets, series, valueOf, base, granularity);
+    document.getElementById('trends-legend').innerHTML = byCategory
+        ? series.map(item => `<li><span class="trends-legend-swatch" style="background-color: ${item.color}"></span>${search.highlight(item.name, null)}</li>`).join('')
+        : '';
+    
+    // Data table fallback
+    document.getElementById('trends-table-caption').textContent = `Spending per ${granularity} from ${start} to ${end}`;
+    document.getElementById('trends-thead').innerHTML = `
+        <tr>
+            <th scope="col">Period</th>
+            ${byCategory ? series.map(item => `<th scope="col">${search.highlight(item.name, null)}</th>`).join('') : ''}
+            <th scope="col">Total</th>
+        </tr>
+    `;
+    document.getElementById('trends-tbody').innerHTML = result.buckets.map(bucket => `
+        <tr>
+            <th scope="row">${bucket.label}</th>
+            ${byCategory ? series.map(item => `<td>${currency.formatAmount(valueOf(bucket, item.name), base)}</td>`).join('') : ''}
+            <td>${currency.formatAmount(bucket.total, base)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Build the SVG markup for the trends chart
+ * Bars are stacked when there is more than one series; net refunds are drawn as zero
+ * @param {Array} buckets - Periods from trends.calculateTrends
+ * @param {Array} series - Array of {name, color}
+ * @param {Function} valueOf - Returns the amount for a bucket and series name
+ * @param {string} base - Base currency code
+ * @param {string} granularity - One of trends.GRANULARITIES
+ * @returns {string} - SVG markup
+ */
+function renderTrendsSvg(buckets, series, valueOf, base, granularity) {
+    const width = 640;
+    const height = 260;
+    const margin = { top: 10, right: 10, bottom: 40, left: 70 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const stackTotal = bucket => series.reduce((sum, item) => sum + Math.max(0, valueOf(bucket, item.name)), 0);
+    const maxValue = Math.max(...buckets.map(stackTotal), 0);
+    const scaleMax = maxValue > 0 ? maxValue * 1.1 : 1;
+    const y = value => margin.top + plotHeight - (value / scaleMax) * plotHeight;
+    const band = plotWidth / buckets.length;
+    const barWidth = Math.max(1, band * 0.7);
+    const labelEvery = Math.ceil(buckets.length / 8);
+    
+    const peak = buckets.reduce((top, bucket) => (bucket.total > top.total ? bucket : top), buckets[0]);
+    const total = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+    const description = `${buckets.length} ${granularity}s, ${currency.formatAmount(total, base)} spent in total` +
+        (peak && peak.total > 0 ? `; highest was ${peak.label} at ${currency.formatAmount(peak.total, base)}` : '') + '.';
+    
+    const gridlines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const value = (scaleMax / 1.1) * fraction;
+        return `
+            <line class="trends-gridline" x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="trends-axis-label" x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end">${currency.formatAmount(value, base)}</text>
+        `;
+    }).join('');
+    
+    const bars = buckets.map((bucket, i) => {
+        const x = margin.left + i * band + (band - barWidth) / 2;
+        let stacked = 0;
+        const rects = series.map(item => {
+            const value = Math.max(0, valueOf(bucket, item.name));
+            if (value === 0) return '';
+            const rect = `<rect x="${x}" y="${y(stacked + value)}" width="${barWidth}" height="${y(stacked) - y(stacked + value)}" style="fill: ${item.color}"><title>${bucket.label}: ${search.highlight(item.name, null)} ${currency.formatAmount(value, base)}</title></rect>`;
+            stacked += value;
+            return rect;
+        }).join('');
+        
+        const label = i % labelEvery === 0
+            ? `<text class="trends-axis-label" x="${x + barWidth / 2}" y="${height - margin.bottom + 16}" text-anchor="middle">${bucket.label.replace('Week of ', '')}</text>`
+            : '';
+        return rects + label;
+    }).join('');
+    
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="trends-svg-title trends-svg-desc">
+            <title id="trends-svg-title">Spending per ${granularity}</title>
+            <desc id="trends-svg-desc">${description} The data table below lists every value.</desc>
+            ${gridlines}
+            ${bars}
+        </svg>
+    `;
+}
+
+/**
+ * Get the date range chosen for dashboard statistics
+ * @returns {Object|null} - {start, end}, or null for all time (or an incomplete custom range)
+ */
+function getStatsRange() {
+    const period = document.getElementById('stats-period').value;
+    const summary = document.getElementById('period-summary');
+    const term = period.startsWith('term:')
+        ? terms.getTerms(state.getSettings()).find(t => `term:${t.id}` === period)
+        : null;
+    const range = term
+        ? { start: term.start, end: term.end }
+        : periods.getPeriodRange(period, recurring.getToday(), {
+            start: document.getElementById('stats-start').value,
+            end: document.getElementById('stats-end').value
+        });
+    
+    if (period === 'custom' && (!range || range.start > range.end)) {
+        summary.textContent = 'Choose a start date on or before the end date. Showing all time.';
+        return null;
+    }
+    
+    if (!range) {
+        summary.textContent = '';
+        return null;
+    }
+    
+    const previous = periods.getPreviousRange(range);
+    summary.textContent = `${range.start} to ${range.end}, compared with ${previous.start} to ${previous.end}`;
+    return range;
+}
+
+/**
+ * Render the change from the previous period under a stat
+ * @param {string} elementId - Delta element ID
+ * @param {number} current - Value for this period
+ * @param {number|null} previous - Value for the previous period, or null to hide the delta
+ * @param {Function} format - Formats the absolute difference
+ * @param {boolean|null} higherIsBetter - Colours the delta (null for neutral)
+ */
+function renderDelta(elementId, current, previous, format, higherIsBetter) {
+    const element = document.getElementById(elementId);
+    
+    if (previous === null) {
+        element.textContent = '';
+        element.className = 'stat-delta';
+        return;
+    }
+    
+    const change = periods.calculateChange(current, previous);
+    const percentage = change.percentage === null ? '' : ` (${Math.abs(change.percentage).toFixed(0)}%)`;
+    let tone = '';
+    
+    if (Math.abs(change.difference) < 0.005) {
+        element.textContent = 'No change on previous period';
+    } else {
+        const up = change.difference > 0;
+        element.textContent = `${up ? '▲ Up' : '▼ Down'} ${format(change.difference)}${percentage} on previous period`;
+        if (higherIsBetter !== null) {
+            tone = up === higherIsBetter ? ' delta-good' : ' delta-bad';
+        }
+    }
+    
+    element.className = `stat-delta${tone}`;
+}
+
+/**
+ * Render budget vs actual table for the selected month
+ * @param {Object} currentState - Current application state
+ */
+function renderBudgetTable(currentState) {
+    const tbody = document.getElementById('budget-tbody');
+    const emptyState = document.getElementById('budget-empty');
+    const month = document.getElementById('budget-month').value || budget.getMonthKey();
+    const rows = budget.calculateBudgetStatus(state.getTransactions(), currentState.budgets, month);
+    const base = currency.getBaseCurrency(currentState.settings);
+    
+    emptyState.classList.toggle('hidden', rows.length > 0);
+    
+    tbody.innerHTML = rows.map(row => `
+        <tr class="budget-row budget-threshold-${row.threshold}">
+            <td>${row.category}</td>
+            <td>${currency.formatAmount(row.budget, base)}</td>
+            <td>${row.rollover ? currency.formatAmount(row.carriedOver, base) : 'Off'}</td>
+            <td>${currency.formatAmount(row.spent, base)}</td>
+            <td>${currency.formatAmount(row.remaining, base)}</td>
+            <td>${row.percentage.toFixed(0)}%</td>
+            <td>
+                <button class="btn btn-small btn-danger" onclick="window.removeCategoryBudget('${row.category}')">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Get label for a transaction type
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - Capitalized type label
+ */
+function getTypeLabel(transaction) {
+    const type = state.getTransactionType(transaction);
+    return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Get sign prefix for a transaction amount
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - '+' for money in, '' for expenses
+ */
+function getAmountPrefix(transaction) {
+    return state.getTransactionType(transaction) === 'expense' ? '' : '+';
+}
+
+/**
+ * Render a transaction amount in its original currency, plus the converted amount when it differs
+ * @param {Object} transaction - Transaction object
+ * @param {RegExp|null} highlightRegex - Regex for highlighting the amount
+ * @returns {string} - HTML string
+ */
+function renderAmount(transaction, highlightRegex) {
+    const original = currency.getRecordCurrency(transaction);
+    const base = currency.getBaseCurrency(state.getSettings());
+    const html = `${getAmountPrefix(transaction)}${search.highlight(currency.formatAmount(transaction.amount, original), highlightRegex)}`;
+    
+    if (original === base) {
+        return html;
+    }
+    
+    return `${html} <small class="converted-amount">≈ ${currency.formatAmount(state.getBaseAmount(transaction), base)}</small>`;
+}
+
+/**
+ * Render a transaction's category, listing each line item of a split transaction
+ * @param {Object} transaction - Transaction object
+ * @param {RegExp|null} highlightRegex - Regex for highlighting category names
+ * @returns {string} - HTML string
+ */
+function renderCategory(transaction, highlightRegex) {
+    if (!transaction.splits || transaction.splits.length === 0) {
+        return search.highlight(transaction.category, highlightRegex);
+    }
+    
+    const code = currency.getRecordCurrency(transaction);
+    return transaction.splits.map(line =>
+        `<span class="split-summary">${search.highlight(line.category, highlightRegex)} ${currency.formatAmount(line.amount, code)}</span>`
+    ).join('');
+}
+
+/**
+ * Render currency options in the transaction form, defaulting to the base currency
+ */
+function renderCurrencyOptions() {
+    const currencySelect = document.getElementById('currency');
+    const base = currency.getBaseCurrency(state.getSettings());
+    
+    currencySelect.innerHTML = Object.keys(currency.CURRENCIES).map(code =>
+        `<option value="${code}"${code === base ? ' selected' : ''}>${code}</option>`
+    ).join('');
 }
 
 /**
  * Render category chart
  * @param {Array} breakdown - Category breakdown data
+ * @param {string} base - Base currency code
  */
-function renderCategoryChart(breakdown) {
+function renderCategoryChart(breakdown, base) {
     const chartContainer = document.getElementById('category-chart');
     
     if (breakdown.length === 0) {
@@ -469,17 +2634,21 @@ function renderCategoryChart(breakdown) {
         return;
     }
     
-    chartContainer.innerHTML = breakdown.map(item => `
+    const settings = state.getSettings();
+    chartContainer.innerHTML = breakdown.map(item => {
+        const info = categories.getCategoryInfo(settings, item.category);
+        return `
         <div class="chart-bar">
             <div class="chart-bar-label">
-                <span>${item.category}</span>
-                <span>N${item.amount.toFixed(2)} (${item.percentage.toFixed(1)}%)</span>
+                <span>${search.highlight(info.icon, null)} ${search.highlight(item.category, null)}</span>
+                <span>${currency.formatAmount(item.amount, base)} (${item.percentage.toFixed(1)}%)</span>
             </div>
             <div class="chart-bar-bg">
-                <div class="chart-bar-fill" style="width: ${item.percentage}%"></div>
+                <div class="chart-bar-fill" style="width: ${item.percentage}%; background-color: ${info.color}"></div>
             </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
 }
 
 /**
@@ -488,12 +2657,24 @@ function renderCategoryChart(breakdown) {
  */
 function renderRecords(currentState) {
     let transactions = state.getSortedTransactions();
-    const searchRegex = currentState.currentSearch;
+    const query = currentState.currentSearch;
+    
+    updateSortButtons(currentState.currentSort);
     
     // Apply search filter
-    if (searchRegex) {
-        transactions = search.searchTransactions(transactions, searchRegex);
+    if (query) {
+        transactions = search.searchTransactions(transactions, query);
+    }
+    
+    // Selection is kept to the listed transactions, so a batch action never reaches hidden ones
+    listedIds = transactions.map(t => t.id);
+    const listed = new Set(listedIds);
+    [...selectedIds].filter(id => !listed.has(id)).forEach(id => selectedIds.delete(id));
+    if (pendingBatch && !isBatchCurrent(listed)) {
+        cancelBatch();
+        showStatus('batch-status', 'The selected transactions changed, so review the changes again', 'error', 'polite');
     }
+    renderBatchBar();
     
     // Show/hide empty state
     const emptyState = document.getElementById('empty-state');
@@ -506,27 +2687,87 @@ function renderRecords(currentState) {
         emptyState.classList.add('hidden');
     }
     
+    // Only highlight the fields each part of the query applies to
+    const highlights = {};
+    search.QUERY_FIELDS.forEach(field => {
+        highlights[field] = search.getHighlightRegex(query, field);
+    });
+    
     // Render table (desktop)
-    renderTable(transactions, searchRegex);
+    renderTable(transactions, highlights);
     
     // Render cards (mobile)
-    renderCards(transactions, searchRegex);
+    renderCards(transactions, highlights);
+}
+
+/**
+ * Render the selection count and select-all state for the batch actions
+ */
+function renderBatchBar() {
+    const count = selectedIds.size;
+    const selectAll = document.getElementById('select-all-records');
+    
+    document.getElementById('batch-actions').classList.toggle('hidden', listedIds.length === 0);
+    selectAll.checked = count > 0 && count === listedIds.length;
+    selectAll.indeterminate = count > 0 && count < listedIds.length;
+    document.getElementById('select-all-label').textContent =
+        `Select all ${listedIds.length} ${state.getSearch() ? 'result' : 'transaction'}${listedIds.length === 1 ? '' : 's'}`;
+    document.getElementById('batch-count').textContent = `${count} selected`;
+    document.getElementById('batch-review-btn').disabled = count === 0;
+    document.getElementById('batch-clear-btn').disabled = count === 0;
+}
+
+/**
+ * Render saved view chips with a live count and net total for each view
+ * @param {Object} currentState - Current application state
+ */
+function renderSavedViews(currentState) {
+    const container = document.getElementById('saved-views');
+    const views = currentState.settings.savedViews || [];
+    const base = currency.getBaseCurrency(currentState.settings);
+    const termList = terms.getTerms(currentState.settings);
+    
+    document.getElementById('saved-views-empty').classList.toggle('hidden', views.length > 0);
+    
+    container.innerHTML = views.map(view => {
+        const result = search.parseQuery(view.query, view.caseInsensitive ? 'gi' : 'g', termList);
+        let stats = 'Invalid search';
+        
+        if (result.valid) {
+            const matches = search.searchTransactions(currentState.transactions, result.query);
+            const total = matches.reduce((sum, t) => sum + state.getSignedAmount(t), 0);
+            stats = `${matches.length} &middot; ${currency.formatSignedAmount(total, base)}`;
+        }
+        
+        const name = search.highlight(view.name, null);
+        return `
+            <li class="view-chip">
+                <button type="button" class="view-chip-apply" onclick="window.applySavedView('${view.id}')" title="${search.escapeAttribute(view.query || 'All transactions')}">
+                    <span class="view-chip-name">${name}</span>
+                    <span class="view-chip-stats">${stats}</span>
+                </button>
+                <button type="button" class="view-chip-remove" onclick="window.deleteSavedView('${view.id}')" aria-label="Delete view ${search.escapeAttribute(view.name)}">&times;</button>
+            </li>
+        `;
+    }).join('');
 }
 
 /**
  * Render table view
  * @param {Array} transactions - Transactions to render
- * @param {RegExp|null} searchRegex - Search regex for highlighting
+ * @param {Object} highlights - Map of field to highlight regex
  */
-function renderTable(transactions, searchRegex) {
+function renderTable(transactions, highlights) {
     const tbody = document.getElementById('records-tbody');
     
     tbody.innerHTML = transactions.map(t => `
-        <tr>
-            <td>${search.highlight(t.date, searchRegex)}</td>
-            <td>${search.highlight(t.description, searchRegex)}</td>
-            <td>N${search.highlight(t.amount.toFixed(2), searchRegex)}</td>
-            <td>${search.highlight(t.category, searchRegex)}</td>
+        <tr${selectedIds.has(t.id) ? ' class="selected"' : ''}>
+            <td>${renderSelectCheckbox(t)}</td>
+            <td>${search.highlight(t.date, highlights.date)}${renderTermBadge(t)}</td>
+            <td>${search.highlight(t.description, highlights.description)}${renderRecurringBadge(t)}${renderReceiptThumbnail(t)}${renderTagsAndNotes(t, highlights)}</td>
+            <td><span class="type-badge type-${state.getTransactionType(t)}">${search.highlight(getTypeLabel(t), highlights.type)}</span></td>
+            <td class="amount-${state.getTransactionType(t)}">${renderAmount(t, highlights.amount)}</td>
+            <td>${renderCategory(t, highlights.category)}</td>
             <td>
                 <button class="btn btn-small btn-secondary" onclick="window.editTransaction('${t.id}')">Edit</button>
                 <button class="btn btn-small btn-danger" onclick="window.deleteTransaction('${t.id}')">Delete</button>
@@ -535,23 +2776,126 @@ function renderTable(transactions, searchRegex) {
     `).join('');
 }
 
+/**
+ * Render the checkbox that selects a transaction for batch actions
+ * The table row and card for a transaction share its state through data-select-id
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - HTML string
+ */
+function renderSelectCheckbox(transaction) {
+    return `<input type="checkbox" class="record-select" data-select-id="${transaction.id}" onchange="window.toggleSelected('${transaction.id}', this.checked)" ${selectedIds.has(transaction.id) ? 'checked' : ''} aria-label="Select ${search.escapeAttribute(transaction.description)}">`;
+}
+
+/**
+ * Render badge marking a transaction generated by a recurring rule
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - HTML string (empty for one-off transactions)
+ */
+function renderRecurringBadge(transaction) {
+    if (!transaction.recurringId) {
+        return '';
+    }
+    
+    const rule = state.getRecurringRule(transaction.recurringId);
+    const title = rule ? `Repeats ${rule.frequency}` : 'Recurring rule deleted';
+    return ` <span class="recurring-badge" title="${title}">↻<span class="sr-only"> ${title}</span></span>`;
+}
+
+/**
+ * Render the academic term a transaction falls in
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - HTML string (empty outside every term)
+ */
+function renderTermBadge(transaction) {
+    const term = terms.getTermForDate(terms.getTerms(state.getSettings()), transaction.date);
+    return term ? ` <span class="term-badge">${search.highlight(term.name, null)}</span>` : '';
+}
+
+/**
+ * Render a button showing a transaction's receipt thumbnail, which opens the viewer
+ * PDFs, images the browser could not shrink and receipts not stored in this browser show a label instead
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - HTML string (empty when it has no receipt)
+ */
+function renderReceiptThumbnail(transaction) {
+    if (!transaction.receiptId) {
+        return '';
+    }
+    
+    const receipt = receipts.getReceipt(transaction.receiptId);
+    const preview = receipt && receipt.thumbnail
+        ? `<img src="${search.escapeAttribute(receipt.thumbnail)}" alt="">`
+        : `<span aria-hidden="true">${receipt && receipt.type === 'application/pdf' ? 'PDF' : '📎'}</span>`;
+    
+    return ` <button type="button" class="receipt-thumb" onclick="window.viewReceipt('${transaction.id}')" aria-label="View receipt for ${search.escapeAttribute(transaction.description)}">${preview}</button>`;
+}
+
+/**
+ * Render a transaction's tags as chips, followed by its notes
+ * @param {Object} transaction - Transaction object
+ * @param {Object} highlights - Highlight regex for each query field
+ * @returns {string} - HTML string (empty when it has neither)
+ */
+function renderTagsAndNotes(transaction, highlights) {
+    const chips = tags.getTags(transaction)
+        .map(tag => `<span class="tag-chip">${search.highlight(`#${tag}`, highlights.tag)}</span>`)
+        .join('');
+    
+    return (chips ? `<span class="record-tags">${chips}</span>` : '')
+        + (transaction.notes ? `<span class="record-notes">${search.highlight(transaction.notes, highlights.notes)}</span>` : '');
+}
+
+/**
+ * Render recurring rules list
+ * @param {Object} currentState - Current application state
+ */
+function renderRecurringRules(currentState) {
+    const tbody = document.getElementById('recurring-tbody');
+    const emptyState = document.getElementById('recurring-empty');
+    const rules = currentState.recurringRules;
+    
+    emptyState.classList.toggle('hidden', rules.length > 0);
+    
+    tbody.innerHTML = rules.map(rule => {
+        const nextDue = rule.paused ? '-' : (recurring.getNextDueDate(rule) || 'Ended');
+        return `
+        <tr>
+            <td>${search.highlight(rule.description, null)}</td>
+            <td class="amount-${rule.type}">${rule.type === 'expense' ? '' : '+'}${currency.formatAmount(rule.amount, currency.getRecordCurrency(rule))}</td>
+            <td>${rule.category}</td>
+            <td>${rule.frequency.charAt(0).toUpperCase() + rule.frequency.slice(1)}</td>
+            <td>${nextDue}</td>
+            <td>${rule.endDate || 'Never'}</td>
+            <td>${rule.paused ? 'Paused' : 'Active'}</td>
+            <td>
+                <button class="btn btn-small btn-secondary" onclick="window.toggleRecurringRule('${rule.id}')">${rule.paused ? 'Resume' : 'Pause'}</button>
+                <button class="btn btn-small btn-secondary" onclick="window.editRecurringRule('${rule.id}')">Edit</button>
+                <button class="btn btn-small btn-danger" onclick="window.deleteRecurringRule('${rule.id}')">Delete</button>
+            </td>
+        </tr>
+    `;
+    }).join('');
+}
+
 /**
  * Render cards view
  * @param {Array} transactions - Transactions to render
- * @param {RegExp|null} searchRegex - Search regex for highlighting
+ * @param {Object} highlights - Map of field to highlight regex
  */
-function renderCards(transactions, searchRegex) {
+function renderCards(transactions, highlights) {
     const cardsContainer = document.getElementById('records-cards');
     
     cardsContainer.innerHTML = transactions.map(t => `
-        <div class="record-card">
+        <div class="record-card${selectedIds.has(t.id) ? ' selected' : ''}">
             <div class="record-card-header">
-                <div class="record-card-description">${search.highlight(t.description, searchRegex)}</div>
-                <div class="record-card-amount">$${search.highlight(t.amount.toFixed(2), searchRegex)}</div>
+                ${renderSelectCheckbox(t)}
+                <div class="record-card-description">${search.highlight(t.description, highlights.description)}${renderRecurringBadge(t)}${renderReceiptThumbnail(t)}${renderTagsAndNotes(t, highlights)}</div>
+                <div class="record-card-amount amount-${state.getTransactionType(t)}">${renderAmount(t, highlights.amount)}</div>
             </div>
             <div class="record-card-details">
-                <div>Category: ${search.highlight(t.category, searchRegex)}</div>
-                <div>Date: ${search.highlight(t.date, searchRegex)}</div>
+                <div>Type: <span class="type-badge type-${state.getTransactionType(t)}">${search.highlight(getTypeLabel(t), highlights.type)}</span></div>
+                <div>Category: ${renderCategory(t, highlights.category)}</div>
+                <div>Date: ${search.highlight(t.date, highlights.date)}${renderTermBadge(t)}</div>
             </div>
             <div class="record-card-actions">
                 <button class="btn btn-small btn-secondary" onclick="window.editTransaction('${t.id}')">Edit</button>
@@ -569,12 +2913,22 @@ window.editTransaction = (id) => {
     // Populate form
     document.getElementById('description').value = transaction.description;
     document.getElementById('amount').value = transaction.amount;
-    document.getElementById('category').value = transaction.category;
+    document.getElementById('currency').value = currency.getRecordCurrency(transaction);
+    document.getElementById('type').value = state.getTransactionType(transaction);
+    renderCategoryOptions(transaction.category);
+    renderSplitLines(transaction.splits || []);
     document.getElementById('date').value = transaction.date;
+    document.getElementById('tags').value = tags.formatTags(tags.getTags(transaction));
+    document.getElementById('notes').value = transaction.notes || '';
+    document.getElementById('receipt').value = '';
+    renderCurrentReceipt(transaction.receiptId || null);
     
-    // Set editing mode
+    // Set editing mode (a single transaction cannot be turned into a recurring rule)
+    state.setEditingRuleId(null);
     state.setEditingId(id);
     document.getElementById('submit-btn').textContent = 'Update Transaction';
+    document.getElementById('repeat-fields').classList.add('hidden');
+    document.getElementById('receipt-group').classList.toggle('hidden', !receipts.isAvailable());
     
     // Show form section
     showSection('add-edit');
@@ -585,9 +2939,167 @@ window.editTransaction = (id) => {
     document.getElementById('description').focus();
 };
 
+window.viewReceipt = (id) => {
+    const transaction = state.getTransaction(id);
+    if (!transaction || !transaction.receiptId) return;
+    
+    openReceipt(transaction).catch(error => {
+        console.error('Error opening receipt:', error);
+        showToast('The receipt could not be opened');
+    });
+};
+
+window.toggleSelected = (id, checked) => {
+    if (checked) {
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+    
+    document.querySelectorAll(`[data-select-id="${id}"]`).forEach(box => {
+        box.checked = checked;
+        box.closest('tr, .record-card').classList.toggle('selected', checked);
+    });
+    cancelBatch();
+    renderBatchBar();
+};
+
 window.deleteTransaction = (id) => {
     if (confirm('Are you sure you want to delete this transaction?')) {
         state.deleteTransaction(id);
+        showToast('Transaction deleted', true);
+    }
+};
+
+window.removeCategoryBudget = (category) => {
+    if (confirm(`Remove the ${category} budget for all months?`)) {
+        state.removeCategoryBudget(category);
+        showToast(`${category} budget removed`, true);
+    }
+};
+
+window.editRecurringRule = (id) => {
+    const rule = state.getRecurringRule(id);
+    if (!rule) return;
+    
+    // Populate form
+    document.getElementById('description').value = rule.description;
+    document.getElementById('amount').value = rule.amount;
+    document.getElementById('currency').value = currency.getRecordCurrency(rule);
+    document.getElementById('type').value = rule.type;
+    renderCategoryOptions(rule.category);
+    renderSplitLines(rule.splits || []);
+    document.getElementById('date').value = rule.startDate;
+    document.getElementById('tags').value = tags.formatTags(tags.getTags(rule));
+    document.getElementById('notes').value = rule.notes || '';
+    document.getElementById('receipt').value = '';
+    renderCurrentReceipt(null);
+    document.getElementById('frequency').value = rule.frequency;
+    document.getElementById('until').value = rule.endDate || '';
+    
+    // Set editing mode
+    state.setEditingId(null);
+    state.setEditingRuleId(id);
+    document.getElementById('submit-btn').textContent = 'Update Recurring Transaction';
+    document.getElementById('repeat-fields').classList.remove('hidden');
+    
+    // Receipts belong to single transactions
+    document.getElementById('receipt-group').classList.add('hidden');
+    
+    // Show form section
+    showSection('add-edit');
+    document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
+    document.querySelector('[data-section="add-edit"]').classList.add('active');
+    
+    document.getElementById('description').focus();
+};
+
+window.toggleRecurringRule = (id) => {
+    const rule = state.getRecurringRule(id);
+    if (!rule) return;
+    
+    state.setRecurringRulePaused(id, !rule.paused);
+    showStatus('recurring-status', `"${rule.description}" ${rule.paused ? 'paused' : 'resumed'}`, 'success', 'polite');
+};
+
+window.deleteRecurringRule = (id) => {
+    if (confirm('Delete this recurring rule? Transactions it already created will be kept.')) {
+        state.deleteRecurringRule(id);
+        showStatus('recurring-status', 'Recurring rule deleted', 'success', 'polite');
+        showToast('Recurring rule deleted', true);
+    }
+};
+
+window.applySavedView = (id) => {
+    const view = state.getSavedViews().find(v => v.id === id);
+    if (!view) return;
+    
+    const searchInput = document.getElementById('search-input');
+    document.getElementById('case-insensitive').checked = view.caseInsensitive;
+    searchInput.value = view.query;
+    state.setSort(view.sort.field, view.sort.ascending);
+    searchInput.dispatchEvent(new Event('input'));
+};
+
+window.deleteSavedView = (id) => {
+    const view = state.getSavedViews().find(v => v.id === id);
+    if (view && state.deleteSavedView(id)) {
+        showToast(`View "${view.name}" deleted`, true);
+    }
+};
+
+window.setCategoryColor = (name, color) => {
+    state.updateCategory(name, { color });
+};
+
+window.setCategoryIcon = (name, icon) => {
+    const result = validators.validateCategoryIcon(icon.trim());
+    if (!result.valid) {
+        showStatus('categories-status', result.message, 'error', 'assertive');
+        renderCategories();
+        return;
+    }
+    
+    state.updateCategory(name, { icon: icon.trim() || undefined });
+};
+
+window.renameCategory = (name) => {
+    const newName = prompt(`Rename ${name} to:`, name);
+    if (newName === null || newName === name) return;
+    
+    const others = (state.getSettings().categories || []).filter(category => category !== name);
+    const result = validators.validateCategoryName(newName, others);
+    if (!result.valid) {
+        showStatus('categories-status', result.message, 'error', 'assertive');
+        return;
+    }
+    
+    state.renameCategory(name, newName);
+    showStatus('categories-status', `${name} renamed to ${newName}`, 'success', 'polite');
+};
+
+window.toggleCategoryArchived = (name) => {
+    const archived = !categories.getCategoryInfo(state.getSettings(), name).archived;
+    state.updateCategory(name, { archived });
+    showStatus('categories-status', archived ? `${name} archived; it is kept on existing transactions` : `${name} restored`, 'success', 'polite');
+};
+
+window.deleteTerm = (id) => {
+    const term = (state.getSettings().terms || []).find(t => t.id === id);
+    if (term && confirm(`Delete ${term.name}? Its transactions are kept.`)) {
+        state.deleteTerm(id);
+        showToast(`${term.name} deleted`, true);
     }
 };
 
+window.moveCategoryRule = (id, offset) => {
+    state.moveCategoryRule(id, offset);
+};
+
+window.deleteCategoryRule = (id) => {
+    const rule = state.getCategoryRules().find(r => r.id === id);
+    if (rule && confirm(`Delete the rule ${rules.formatRule(rule)} → ${rule.category}? Transactions it categorised are kept.`)) {
+        state.deleteCategoryRule(id);
+        showToast('Category rule deleted', true);
+    }
+};
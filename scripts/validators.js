@@ -3,6 +3,29 @@
  * Contains regex-based validation logic for form inputs
  */
 
+import { FREQUENCIES } from './recurring.js';
+import { CURRENCIES } from './currency.js';
+
+// Transaction types (amounts are always stored as positive numbers; the type gives the direction)
+export const TRANSACTION_TYPES = ['expense', 'income', 'refund'];
+
+// Limits for the optional tags and notes on a transaction
+export const MAX_TAGS = 10;
+export const MAX_NOTES_LENGTH = 500;
+
+// Receipt files that can be attached to a transaction, and the largest accepted (5 MB)
+export const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+export const MAX_RECEIPT_SIZE = 5 * 1024 * 1024;
+
+// Fields the records can be sorted by (the sort buttons)
+export const SORT_FIELDS = ['date', 'description', 'amount', 'category'];
+
+// Longest category icon, in UTF-16 code units as counted by an input's maxlength (an emoji with modifiers can take several)
+export const MAX_ICON_LENGTH = 8;
+
+// Furthest a batch date shift can move transactions, in days either way
+export const MAX_DATE_SHIFT = 366;
+
 // Regex patterns
 export const patterns = {
     // Description/title: forbid leading/trailing spaces and collapse doubles
@@ -17,6 +40,21 @@ export const patterns = {
     // Category/tag (letters, spaces, hyphens)
     category: /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/,
     
+    // Category colour as written by a colour input (#rrggbb)
+    color: /^#[0-9a-fA-F]{6}$/,
+    
+    // ID generated by the app (prefix, timestamp and random part), safe to place in an onclick handler
+    id: /^[A-Za-z0-9]+(?:[_-][A-Za-z0-9]+)*$/,
+    
+    // Category icon: an emoji or a few symbols, with nothing that could be read as HTML
+    icon: /^[^\s<>&"'`]+$/,
+    
+    // Tag without the # (lowercase letters and digits, joined by single hyphens or underscores)
+    tag: /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/,
+    
+    // Whole number of days other than zero, optionally negative (batch date shift)
+    dateShift: /^[-+]?[1-9]\d*$/,
+    
     // Advanced: Detect duplicate words (back-reference)
     duplicateWords: /\b(\w+)\s+\1\b/i,
     
@@ -86,9 +124,10 @@ export function validateAmount(value) {
 /**
  * Validate date field
  * @param {string} value - The date to validate
+ * @param {boolean} allowFuture - Whether dates after today are accepted
  * @returns {Object} - {valid: boolean, message: string}
  */
-export function validateDate(value) {
+export function validateDate(value, allowFuture = false) {
     if (!value || value.trim() === '') {
         return { valid: false, message: 'Date is required' };
     }
@@ -106,7 +145,7 @@ export function validateDate(value) {
     // Check if date is not in the future
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    if (dateObj > today) {
+    if (!allowFuture && dateObj > today) {
         return { valid: false, message: 'Date cannot be in the future' };
     }
     
@@ -128,6 +167,225 @@ export function validateCategory(value) {
     return { valid: true, message: '' };
 }
 
+/**
+ * Validate a new or renamed category name
+ * @param {string} value - The category name to validate
+ * @param {Array} existing - Category names already in use
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateCategoryName(value, existing = []) {
+    if (!value || value.trim() === '') {
+        return { valid: false, message: 'Category name is required' };
+    }
+    
+    if (!patterns.category.test(value)) {
+        return { valid: false, message: 'Category names can only contain letters, single spaces and hyphens' };
+    }
+    
+    if (value.length > 30) {
+        return { valid: false, message: 'Category name must be 30 characters or less' };
+    }
+    
+    if (existing.some(name => name.toLowerCase() === value.toLowerCase())) {
+        return { valid: false, message: `${value} already exists` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a category icon
+ * Icons are optional; a category without one shows the default icon
+ * @param {string} value - The icon to validate
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateCategoryIcon(value) {
+    if (value === undefined || value === null || value === '') {
+        return { valid: true, message: '' };
+    }
+    
+    if (typeof value !== 'string' || !patterns.icon.test(value)) {
+        return { valid: false, message: 'Icon cannot contain spaces, quotes or < > &' };
+    }
+    
+    if (value.length > MAX_ICON_LENGTH) {
+        return { valid: false, message: `Icon must be ${MAX_ICON_LENGTH} characters or less` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate transaction type field
+ * @param {string} value - The transaction type to validate
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateType(value) {
+    if (!value || value.trim() === '') {
+        return { valid: false, message: 'Type is required' };
+    }
+    
+    if (!TRANSACTION_TYPES.includes(value)) {
+        return { valid: false, message: 'Type must be income, expense or refund' };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate split line items
+ * Splits are optional; when given there must be at least two lines, each with its own
+ * category, and the line amounts must add up to the transaction amount
+ * @param {Array} splits - Array of {category, amount}
+ * @param {string} amount - The transaction amount
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateSplits(splits, amount) {
+    if (!splits || splits.length === 0) {
+        return { valid: true, message: '' };
+    }
+    
+    if (splits.length < 2) {
+        return { valid: false, message: 'A split needs at least two lines' };
+    }
+    
+    const seen = new Set();
+    for (let i = 0; i < splits.length; i++) {
+        const categoryResult = validateCategory(splits[i].category);
+        if (!categoryResult.valid) {
+            return { valid: false, message: `Line ${i + 1}: ${categoryResult.message}` };
+        }
+        
+        if (seen.has(splits[i].category)) {
+            return { valid: false, message: `Line ${i + 1}: ${splits[i].category} is already used in another line` };
+        }
+        seen.add(splits[i].category);
+        
+        const amountResult = validateAmount(String(splits[i].amount ?? ''));
+        if (!amountResult.valid) {
+            return { valid: false, message: `Line ${i + 1}: ${amountResult.message}` };
+        }
+    }
+    
+    // Compare in cents to avoid floating point rounding
+    const toCents = value => Math.round(parseFloat(value) * 100);
+    const splitTotal = splits.reduce((sum, line) => sum + toCents(line.amount), 0);
+    if (validateAmount(String(amount ?? '')).valid && splitTotal !== toCents(amount)) {
+        return { valid: false, message: `Split amounts add up to ${(splitTotal / 100).toFixed(2)} but the total is ${parseFloat(amount).toFixed(2)}` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate tags
+ * Tags are optional; each must be a single word (hyphens and underscores allowed)
+ * @param {Array} tags - Tag names without the # (as returned by parseTags)
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateTags(tags) {
+    if (tags === undefined || tags === null) {
+        return { valid: true, message: '' };
+    }
+    
+    if (!Array.isArray(tags)) {
+        return { valid: false, message: 'Tags must be a list' };
+    }
+    
+    if (tags.length > MAX_TAGS) {
+        return { valid: false, message: `A transaction can have at most ${MAX_TAGS} tags` };
+    }
+    
+    for (const tag of tags) {
+        if (typeof tag !== 'string' || !patterns.tag.test(tag)) {
+            return { valid: false, message: `#${tag} is not a valid tag. Use lowercase letters, numbers, hyphens and underscores.` };
+        }
+        
+        if (tag.length > 30) {
+            return { valid: false, message: `#${tag} is too long (30 characters or less)` };
+        }
+    }
+    
+    if (new Set(tags).size !== tags.length) {
+        return { valid: false, message: 'Tags must not repeat' };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate notes field
+ * Notes are optional and may span several lines
+ * @param {string} value - The notes to validate
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateNotes(value) {
+    if (value === undefined || value === null) {
+        return { valid: true, message: '' };
+    }
+    
+    if (typeof value !== 'string') {
+        return { valid: false, message: 'Notes must be text' };
+    }
+    
+    if (value.trim().length > MAX_NOTES_LENGTH) {
+        return { valid: false, message: `Notes must be ${MAX_NOTES_LENGTH} characters or less` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a receipt file
+ * Receipts are optional; when given they must be a photo or PDF no larger than 5 MB
+ * @param {Object|null} file - File (or {name, type, size} read from a backup)
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateReceipt(file) {
+    if (!file) {
+        return { valid: true, message: '' };
+    }
+    
+    if (typeof file.name !== 'string' || file.name.trim() === '' || file.name.length > 255) {
+        return { valid: false, message: 'Receipt file name is missing or too long' };
+    }
+    
+    if (!RECEIPT_TYPES.includes(file.type)) {
+        return { valid: false, message: 'Receipts must be a JPEG, PNG, WebP or GIF photo or a PDF' };
+    }
+    
+    if (!Number.isInteger(file.size) || file.size <= 0) {
+        return { valid: false, message: 'Receipt file is empty' };
+    }
+    
+    if (file.size > MAX_RECEIPT_SIZE) {
+        return { valid: false, message: `Receipt is ${(file.size / 1024 / 1024).toFixed(1)} MB; the limit is 5 MB` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate the number of days a batch date shift moves transactions
+ * @param {string} value - Days to add (negative to move earlier)
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateDateShift(value) {
+    if (!value || value.trim() === '') {
+        return { valid: false, message: 'Enter the number of days to shift by' };
+    }
+    
+    if (!patterns.dateShift.test(value.trim())) {
+        return { valid: false, message: 'Days must be a whole number other than 0 (e.g. 7 or -7)' };
+    }
+    
+    if (Math.abs(parseInt(value, 10)) > MAX_DATE_SHIFT) {
+        return { valid: false, message: `Dates can be shifted by at most ${MAX_DATE_SHIFT} days` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
 /**
  * Validate entire transaction form
  * @param {Object} data - The transaction data
@@ -156,6 +414,212 @@ export function validateTransaction(data) {
         errors.category = categoryResult.message;
     }
     
+    const typeResult = validateType(data.type);
+    if (!typeResult.valid) {
+        errors.type = typeResult.message;
+    }
+    
+    const splitsResult = validateSplits(data.splits, data.amount);
+    if (!splitsResult.valid) {
+        errors.splits = splitsResult.message;
+    }
+    
+    const tagsResult = validateTags(data.tags);
+    if (!tagsResult.valid) {
+        errors.tags = tagsResult.message;
+    }
+    
+    const notesResult = validateNotes(data.notes);
+    if (!notesResult.valid) {
+        errors.notes = notesResult.message;
+    }
+    
+    const receiptResult = validateReceipt(data.receipt);
+    if (!receiptResult.valid) {
+        errors.receipt = receiptResult.message;
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate recurring frequency field
+ * @param {string} value - The frequency to validate
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateFrequency(value) {
+    if (!value || value.trim() === '') {
+        return { valid: false, message: 'Frequency is required' };
+    }
+    
+    if (!FREQUENCIES.includes(value)) {
+        return { valid: false, message: 'Frequency must be daily, weekly, monthly or semester' };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate recurring rule form
+ * The start date may be in the future; the optional end date must not be before it
+ * @param {Object} data - The rule data (transaction fields plus frequency and until)
+ * @returns {Object} - {valid: boolean, errors: Object}
+ */
+export function validateRecurringRule(data) {
+    const errors = { ...validateTransaction(data).errors };
+    
+    const dateResult = validateDate(data.date, true);
+    if (dateResult.valid) {
+        delete errors.date;
+    } else {
+        errors.date = dateResult.message;
+    }
+    
+    const frequencyResult = validateFrequency(data.frequency);
+    if (!frequencyResult.valid) {
+        errors.frequency = frequencyResult.message;
+    }
+    
+    if (data.until) {
+        const untilResult = validateDate(data.until, true);
+        if (!untilResult.valid) {
+            errors.until = untilResult.message;
+        } else if (dateResult.valid && data.until < data.date) {
+            errors.until = 'End date cannot be before the start date';
+        }
+    }
+    
+    // A receipt belongs to one payment, not to every occurrence
+    if (data.receipt) {
+        errors.receipt = 'Receipts can only be attached to single transactions';
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Check that an ID is safe to place in an onclick handler
+ * IDs from backups and imports are not generated here, so they are checked before use
+ * @param {*} id - ID to check
+ * @returns {boolean} - True if it is a non-empty string of letters, digits, underscores and hyphens
+ */
+function isSafeId(id) {
+    return typeof id === 'string' && patterns.id.test(id);
+}
+
+/**
+ * Validate academic term form
+ * Terms may be in the future but cannot overlap, so each date belongs to at most one term
+ * @param {Object} data - The term data {id?, name, start, end}
+ * @param {Array} terms - Existing terms
+ * @returns {Object} - {valid: boolean, errors: Object}
+ */
+export function validateTerm(data, terms = []) {
+    const errors = {};
+    const others = terms.filter(term => term.id !== data.id);
+    
+    // New terms have no id yet; restored ones must have a safe one
+    if (data.id !== undefined && !isSafeId(data.id)) {
+        errors.id = 'Invalid term id';
+    }
+    
+    if (!data.name || data.name.trim() === '') {
+        errors.name = 'Term name is required';
+    } else if (!patterns.description.test(data.name)) {
+        errors.name = 'Term name cannot have leading/trailing spaces';
+    } else if (data.name.length > 40) {
+        errors.name = 'Term name must be 40 characters or less';
+    } else if (others.some(term => term.name.toLowerCase() === data.name.toLowerCase())) {
+        errors.name = `${data.name} already exists`;
+    }
+    
+    const startResult = validateDate(data.start, true);
+    if (!startResult.valid) {
+        errors.start = startResult.message;
+    }
+    
+    const endResult = validateDate(data.end, true);
+    if (!endResult.valid) {
+        errors.end = endResult.message;
+    } else if (startResult.valid && data.end < data.start) {
+        errors.end = 'End date cannot be before the start date';
+    }
+    
+    if (!errors.start && !errors.end) {
+        const overlap = others.find(term => data.start <= term.end && data.end >= term.start);
+        if (overlap) {
+            errors.end = `Dates overlap ${overlap.name} (${overlap.start} to ${overlap.end})`;
+        }
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate category rule form
+ * @param {Object} data - The rule data {id?, pattern, caseInsensitive, category}
+ * @param {Array} categories - Category names a rule may file into
+ * @returns {Object} - {valid: boolean, errors: Object} where errors has id, pattern and category
+ */
+export function validateCategoryRule(data, categories = []) {
+    const errors = {};
+    
+    // New rules have no id yet; restored ones must have a safe one
+    if (data.id !== undefined && !isSafeId(data.id)) {
+        errors.id = 'Invalid rule id';
+    }
+    
+    if (!data.pattern || data.pattern.trim() === '') {
+        errors.pattern = 'Pattern is required';
+    } else if (data.pattern.length > 100) {
+        errors.pattern = 'Pattern must be 100 characters or less';
+    } else {
+        try {
+            new RegExp(data.pattern);
+        } catch (error) {
+            errors.pattern = error.message;
+        }
+    }
+    
+    if (!data.category) {
+        errors.category = 'Category is required';
+    } else if (!categories.includes(data.category)) {
+        errors.category = `Unknown category: ${data.category}`;
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a new passphrase and its confirmation
+ * Whitespace counts as part of the passphrase, so it is not trimmed
+ * @param {string} passphrase - Passphrase
+ * @param {string} confirmation - Passphrase typed again
+ * @returns {Object} - {valid: boolean, errors: Object} where errors has passphrase and confirmation
+ */
+export function validatePassphrase(passphrase, confirmation) {
+    const errors = {};
+    
+    if (!passphrase) {
+        errors.passphrase = 'Passphrase is required';
+    } else if (passphrase.length < 8) {
+        errors.passphrase = 'Passphrase must be at least 8 characters';
+    } else if (confirmation !== passphrase) {
+        errors.confirmation = 'Passphrases do not match';
+    }
+    
     return {
         valid: Object.keys(errors).length === 0,
         errors
@@ -172,13 +636,25 @@ export function validateImportData(data) {
         return { valid: false, message: 'Import data must be an array' };
     }
     
+    // Transactions are stored by id, so each id must be unique
+    const seenIds = new Set();
+    
     for (let i = 0; i < data.length; i++) {
         const record = data[i];
         
-        if (!record.id || typeof record.id !== 'string') {
+        if (!record || typeof record !== 'object') {
+            return { valid: false, message: `Record ${i + 1}: Not a transaction record` };
+        }
+        
+        if (!isSafeId(record.id)) {
             return { valid: false, message: `Record ${i + 1}: Invalid or missing id` };
         }
         
+        if (seenIds.has(record.id)) {
+            return { valid: false, message: `Record ${i + 1}: Duplicate id ${record.id}` };
+        }
+        seenIds.add(record.id);
+        
         if (!record.description || typeof record.description !== 'string') {
             return { valid: false, message: `Record ${i + 1}: Invalid or missing description` };
         }
@@ -187,10 +663,51 @@ export function validateImportData(data) {
             return { valid: false, message: `Record ${i + 1}: Invalid or missing amount` };
         }
         
-        if (!record.category || typeof record.category !== 'string') {
+        if (typeof record.category !== 'string' || !patterns.category.test(record.category)) {
             return { valid: false, message: `Record ${i + 1}: Invalid or missing category` };
         }
         
+        // Records exported before types existed have no type and are treated as expenses
+        if (record.type !== undefined && !TRANSACTION_TYPES.includes(record.type)) {
+            return { valid: false, message: `Record ${i + 1}: Invalid type` };
+        }
+        
+        // Records without a currency were entered in NGN
+        if (record.currency !== undefined && !CURRENCIES[record.currency]) {
+            return { valid: false, message: `Record ${i + 1}: Unsupported currency` };
+        }
+        
+        // Split line items are optional
+        if (record.splits !== undefined) {
+            const splitsResult = Array.isArray(record.splits)
+                ? validateSplits(record.splits, String(record.amount))
+                : { valid: false, message: 'Splits must be an array' };
+            if (!splitsResult.valid) {
+                return { valid: false, message: `Record ${i + 1}: ${splitsResult.message}` };
+            }
+            
+            const badLine = record.splits.findIndex(split => !patterns.category.test(split.category));
+            if (badLine !== -1) {
+                return { valid: false, message: `Record ${i + 1}: Line ${badLine + 1}: Invalid category` };
+            }
+        }
+        
+        // Tags and notes are optional
+        const tagsResult = validateTags(record.tags);
+        if (!tagsResult.valid) {
+            return { valid: false, message: `Record ${i + 1}: ${tagsResult.message}` };
+        }
+        
+        const notesResult = validateNotes(record.notes);
+        if (!notesResult.valid) {
+            return { valid: false, message: `Record ${i + 1}: ${notesResult.message}` };
+        }
+        
+        // The receipt file itself is only carried by full backups
+        if (record.receiptId !== undefined && !isSafeId(record.receiptId)) {
+            return { valid: false, message: `Record ${i + 1}: Invalid receipt id` };
+        }
+        
         if (!record.date || !patterns.date.test(record.date)) {
             return { valid: false, message: `Record ${i + 1}: Invalid or missing date` };
         }
@@ -203,3 +720,259 @@ export function validateImportData(data) {
     return { valid: true, message: 'Data is valid' };
 }
 
+/**
+ * Validate the settings section of a backup
+ * @param {Object} settings - Settings object
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateSettingsData(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, message: 'Settings must be an object' };
+    }
+    
+    if (!Array.isArray(settings.categories) || settings.categories.length === 0) {
+        return { valid: false, message: 'Categories must be a non-empty list' };
+    }
+    
+    for (let i = 0; i < settings.categories.length; i++) {
+        const result = validateCategoryName(settings.categories[i], settings.categories.slice(0, i));
+        if (!result.valid) {
+            return { valid: false, message: `Category ${i + 1}: ${result.message}` };
+        }
+    }
+    
+    const badRate = Object.values(CURRENCIES)
+        .map(info => info.rateKey)
+        .find(rateKey => rateKey && settings[rateKey] !== undefined && !(typeof settings[rateKey] === 'number' && settings[rateKey] > 0));
+    if (badRate) {
+        return { valid: false, message: `${badRate} must be a positive number` };
+    }
+    
+    if (settings.baseCurrency !== undefined && !CURRENCIES[settings.baseCurrency]) {
+        return { valid: false, message: 'Unsupported display currency' };
+    }
+    
+    if (settings.categoryInfo !== undefined) {
+        if (!settings.categoryInfo || typeof settings.categoryInfo !== 'object' || Array.isArray(settings.categoryInfo)) {
+            return { valid: false, message: 'Category details must be an object' };
+        }
+        
+        for (const [name, info] of Object.entries(settings.categoryInfo)) {
+            const result = validateCategoryInfo(info);
+            if (!result.valid) {
+                return { valid: false, message: `${name}: ${result.message}` };
+            }
+        }
+    }
+    
+    if (settings.savedViews !== undefined) {
+        if (!Array.isArray(settings.savedViews)) {
+            return { valid: false, message: 'Saved views must be a list' };
+        }
+        
+        const seenIds = new Set();
+        for (let i = 0; i < settings.savedViews.length; i++) {
+            const result = validateSavedView(settings.savedViews[i], seenIds);
+            if (!result.valid) {
+                return { valid: false, message: `Saved view ${i + 1}: ${result.message}` };
+            }
+            seenIds.add(settings.savedViews[i].id);
+        }
+    }
+    
+    if (settings.terms !== undefined) {
+        if (!Array.isArray(settings.terms)) {
+            return { valid: false, message: 'Terms must be a list' };
+        }
+        
+        for (let i = 0; i < settings.terms.length; i++) {
+            if (!settings.terms[i] || !isSafeId(settings.terms[i].id)) {
+                return { valid: false, message: `Term ${i + 1}: Invalid or missing id` };
+            }
+            
+            const result = validateTerm(settings.terms[i], settings.terms.slice(0, i));
+            if (!result.valid) {
+                return { valid: false, message: `Term ${i + 1}: ${Object.values(result.errors)[0]}` };
+            }
+        }
+    }
+    
+    if (settings.categoryRules !== undefined) {
+        if (!Array.isArray(settings.categoryRules)) {
+            return { valid: false, message: 'Category rules must be a list' };
+        }
+        
+        for (let i = 0; i < settings.categoryRules.length; i++) {
+            if (!settings.categoryRules[i] || !isSafeId(settings.categoryRules[i].id)) {
+                return { valid: false, message: `Category rule ${i + 1}: Invalid or missing id` };
+            }
+            
+            const result = validateCategoryRule(settings.categoryRules[i], settings.categories);
+            if (!result.valid) {
+                return { valid: false, message: `Category rule ${i + 1}: ${Object.values(result.errors)[0]}` };
+            }
+        }
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a category's stored colour, icon and archive status
+ * @param {Object} info - {color?, icon?, archived?}
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateCategoryInfo(info) {
+    if (!info || typeof info !== 'object' || Array.isArray(info)) {
+        return { valid: false, message: 'Category details must be an object' };
+    }
+    
+    if (info.color !== undefined && (typeof info.color !== 'string' || !patterns.color.test(info.color))) {
+        return { valid: false, message: 'Colour must be a hex colour such as #2563eb' };
+    }
+    
+    const iconResult = validateCategoryIcon(info.icon);
+    if (!iconResult.valid) {
+        return iconResult;
+    }
+    
+    if (info.archived !== undefined && typeof info.archived !== 'boolean') {
+        return { valid: false, message: 'Archived must be true or false' };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a saved view from a backup, as the records search would have saved it
+ * @param {Object} view - {id, name, query, caseInsensitive, sort: {field, ascending}}
+ * @param {Set} seenIds - IDs of the views before it
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateSavedView(view, seenIds = new Set()) {
+    if (!view || typeof view !== 'object') {
+        return { valid: false, message: 'Not a saved view' };
+    }
+    
+    if (!isSafeId(view.id) || seenIds.has(view.id)) {
+        return { valid: false, message: 'Invalid, missing or duplicate id' };
+    }
+    
+    if (typeof view.name !== 'string' || view.name.trim() === '' || view.name !== view.name.trim()) {
+        return { valid: false, message: 'Name is required and cannot have leading/trailing spaces' };
+    }
+    
+    if (typeof view.query !== 'string' || typeof view.caseInsensitive !== 'boolean') {
+        return { valid: false, message: 'Search must be text with a case-insensitive option' };
+    }
+    
+    if (!view.sort || !SORT_FIELDS.includes(view.sort.field) || typeof view.sort.ascending !== 'boolean') {
+        return { valid: false, message: `Sort must be by ${SORT_FIELDS.join(', ')}, ascending or not` };
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate the budget cap and category budgets sections of a backup
+ * @param {number|null} budgetCap - Monthly budget cap
+ * @param {Object} budgets - Map of category to {amounts: {YYYY-MM: number}, rollover: boolean}
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateBudgetData(budgetCap, budgets) {
+    if (budgetCap !== null && !(typeof budgetCap === 'number' && budgetCap > 0)) {
+        return { valid: false, message: 'Budget cap must be a positive number or empty' };
+    }
+    
+    if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+        return { valid: false, message: 'Budgets must be an object' };
+    }
+    
+    for (const [category, entry] of Object.entries(budgets)) {
+        if (!entry || typeof entry.amounts !== 'object' || entry.amounts === null) {
+            return { valid: false, message: `${category}: Missing monthly amounts` };
+        }
+        
+        const badMonth = Object.entries(entry.amounts).find(([month, amount]) =>
+            !/^\d{4}-(0[1-9]|1[0-2])$/.test(month) || typeof amount !== 'number' || amount < 0
+        );
+        if (badMonth) {
+            return { valid: false, message: `${category}: Invalid budget for ${badMonth[0]}` };
+        }
+        
+        if (entry.rollover !== undefined && typeof entry.rollover !== 'boolean') {
+            return { valid: false, message: `${category}: Rollover must be true or false` };
+        }
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate the recurring rules section of a backup
+ * @param {Array} rules - Array of recurring rule objects
+ * @returns {Object} - {valid: boolean, message: string}
+ */
+export function validateRecurringData(rules) {
+    if (!Array.isArray(rules)) {
+        return { valid: false, message: 'Recurring rules must be a list' };
+    }
+    
+    const seenIds = new Set();
+    
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        
+        if (!rule || typeof rule !== 'object') {
+            return { valid: false, message: `Rule ${i + 1}: Not a recurring rule` };
+        }
+        
+        if (!isSafeId(rule.id) || seenIds.has(rule.id)) {
+            return { valid: false, message: `Rule ${i + 1}: Invalid, missing or duplicate id` };
+        }
+        seenIds.add(rule.id);
+        
+        if (typeof rule.category !== 'string' || !patterns.category.test(rule.category)) {
+            return { valid: false, message: `Rule ${i + 1}: Invalid or missing category` };
+        }
+        
+        const { valid, errors } = validateRecurringRule({
+            ...rule,
+            amount: String(rule.amount),
+            date: rule.startDate,
+            until: rule.endDate || ''
+        });
+        if (!valid) {
+            const [field, message] = Object.entries(errors)[0];
+            return { valid: false, message: `Rule ${i + 1}: ${field} - ${message}` };
+        }
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate every section of a backup
+ * @param {Object} data - {transactions, settings, budgetCap, budgets, recurringRules}
+ * @returns {Object} - {valid: boolean, errors: Object} with one message per invalid section
+ */
+export function validateBackupData(data) {
+    const errors = {};
+    const results = {
+        transactions: validateImportData(data.transactions),
+        settings: validateSettingsData(data.settings),
+        budgets: validateBudgetData(data.budgetCap, data.budgets),
+        recurringRules: validateRecurringData(data.recurringRules)
+    };
+    
+    Object.entries(results).forEach(([section, result]) => {
+        if (!result.valid) {
+            errors[section] = result.message;
+        }
+    });
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
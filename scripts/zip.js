@@ -0,0 +1,170 @@
+/**
+ * Zip Module
+ * Minimal zip archives for backups with receipt files. Entries are stored without compression,
+ * as photos and PDFs are already compressed.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+
+// Zip version 2.0; bit 11 of the flags marks names as UTF-8
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let crc = n;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 checksum zip uses for each entry
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write little-endian header fields
+ * @param {Array} fields - Array of [size in bytes (2 or 4), value]
+ * @returns {Uint8Array} - Header bytes
+ */
+function writeFields(fields) {
+    const view = new DataView(new ArrayBuffer(fields.reduce((sum, [size]) => sum + size, 0)));
+    let offset = 0;
+    fields.forEach(([size, value]) => {
+        if (size === 4) {
+            view.setUint32(offset, value, true);
+        } else {
+            view.setUint16(offset, value, true);
+        }
+        offset += size;
+    });
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Join byte arrays
+ * @param {Array} parts - Array of Uint8Array
+ * @returns {Uint8Array} - Joined bytes
+ */
+function concat(parts) {
+    const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        joined.set(part, offset);
+        offset += part.length;
+    });
+    return joined;
+}
+
+/**
+ * Build a zip archive
+ * @param {Array} entries - Array of {name, data} where data is a Uint8Array
+ * @param {Date} date - Modification time recorded for every entry
+ * @returns {Uint8Array} - Archive bytes
+ */
+export function createZip(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    
+    entries.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        // Fields shared by the local and central headers: flags, method (0 = stored), time, date, CRC and sizes
+        const shared = [[2, UTF8_FLAG], [2, 0], [2, time], [2, day], [4, crc32(data)], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]];
+        
+        parts.push(writeFields([[4, LOCAL_HEADER], [2, ZIP_VERSION], ...shared]), nameBytes, data);
+        directory.push(writeFields([[4, CENTRAL_HEADER], [2, ZIP_VERSION], [2, ZIP_VERSION], ...shared, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+    
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = writeFields([[4, END_OF_CENTRAL], [2, 0], [2, 0], [2, entries.length], [2, entries.length], [4, directorySize], [4, offset], [2, 0]]);
+    
+    return concat([...parts, ...directory, end]);
+}
+
+/**
+ * Check whether bytes start like a zip archive
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} - True for zip archives
+ */
+export function isZip(bytes) {
+    return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_HEADER;
+}
+
+/**
+ * Read the entries of a zip archive
+ * Only stored (uncompressed) entries are supported, as written by createZip
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Map} - Entry name to Uint8Array
+ */
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    
+    // The end record is last, followed only by an optional comment of up to 65535 bytes
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('File is not a zip archive');
+    }
+    
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+            throw new Error('Zip archive is damaged');
+        }
+        
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        
+        if (method !== 0 || flags & 1) {
+            throw new Error(`${name} is compressed or encrypted by another program. Use a backup downloaded from this app.`);
+        }
+        
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+            throw new Error('Zip archive is damaged');
+        }
+        
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(start, start + size);
+        if (data.length !== size || crc32(data) !== crc) {
+            throw new Error(`${name} is damaged`);
+        }
+        
+        entries.set(name, data);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+}
@@ -0,0 +1,95 @@
+/**
+ * Service Worker
+ * Precaches the app so it installs and launches offline
+ */
+
+// Change the version whenever a cached file changes; the new worker then caches the new files
+// and the app offers to reload
+const CACHE_VERSION = 7;
+const CACHE_NAME = `financeApp-v${CACHE_VERSION}`;
+
+// Every file the app needs to start (relative to this worker, which sits in the app root)
+const APP_FILES = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './styles/main.css',
+    './assets/profile.jpg',
+    './assets/icon-192.png',
+    './assets/icon-512.png',
+    './scripts/backup.js',
+    './scripts/batch.js',
+    './scripts/budget.js',
+    './scripts/categories.js',
+    './scripts/csv.js',
+    './scripts/currency.js',
+    './scripts/encryption.js',
+    './scripts/indexeddb.js',
+    './scripts/main.js',
+    './scripts/merge.js',
+    './scripts/periods.js',
+    './scripts/pwa.js',
+    './scripts/receipts.js',
+    './scripts/recurring.js',
+    './scripts/rules.js',
+    './scripts/schema.js',
+    './scripts/search.js',
+    './scripts/state.js',
+    './scripts/storage.js',
+    './scripts/suggestions.js',
+    './scripts/tags.js',
+    './scripts/terms.js',
+    './scripts/trends.js',
+    './scripts/ui.js',
+    './scripts/validators.js',
+    './scripts/zip.js'
+];
+
+// Cache every file, bypassing the HTTP cache so a new version never stores stale copies
+// The worker then waits until the app asks it to take over (see the message handler)
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+// Delete caches from earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('financeApp-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve cached files first; anything not cached comes from the network
+// Page loads fall back to the cached index.html, so the app opens offline from any URL in scope
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            
+            return fetch(request).catch(error => {
+                if (request.mode === 'navigate') {
+                    return caches.match('./index.html');
+                }
+                throw error;
+            });
+        })
+    );
+});
+
+// The app sends this once the user chooses to reload into the new version
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});